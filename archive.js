@@ -0,0 +1,194 @@
+/**
+ * Archive page script for SlackSnap extension: full-text search over the
+ * local message archive (src/archive.js) and re-export of the results
+ */
+
+// DOM elements
+const searchForm = document.getElementById('searchForm');
+const searchTextEl = document.getElementById('searchText');
+const channelFilterEl = document.getElementById('channelFilter');
+const authorFilterEl = document.getElementById('authorFilter');
+const fromFilterEl = document.getElementById('fromFilter');
+const toFilterEl = document.getElementById('toFilter');
+const exportResultsBtn = document.getElementById('exportResultsBtn');
+const summaryEl = document.getElementById('summary');
+const resultsEl = document.getElementById('results');
+
+let lastHits = [];
+
+/**
+ * Fill the channel filter when the page loads
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const channels = await window.SlackSnapArchive.listArchivedChannels();
+        for (const channel of channels) {
+            const option = document.createElement('option');
+            option.value = channel.channelId;
+            option.textContent = channel.workspace
+                ? `${channel.name} (${channel.workspace}, ${channel.messageCount})`
+                : `${channel.name} (${channel.messageCount})`;
+            channelFilterEl.appendChild(option);
+        }
+
+        if (channels.length === 0) {
+            resultsEl.innerHTML = '<div class="empty">The archive is empty. Messages are added every time you export a channel.</div>';
+        }
+    } catch (error) {
+        console.error('Failed to open archive:', error);
+        summaryEl.textContent = `Could not open the archive: ${error.message}`;
+    }
+});
+
+/**
+ * Run a search
+ */
+searchForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // Date inputs follow the same inclusive-day rules as export ranges
+    const { oldestTimestamp, latestTimestamp } = window.SlackSnapUtils.parseDateRange(fromFilterEl.value, toFilterEl.value);
+
+    try {
+        const { hits, truncated } = await window.SlackSnapArchive.searchArchive({
+            text: searchTextEl.value,
+            channelId: channelFilterEl.value,
+            author: authorFilterEl.value,
+            from: oldestTimestamp,
+            to: latestTimestamp
+        });
+
+        lastHits = hits;
+        exportResultsBtn.disabled = hits.length === 0;
+        summaryEl.textContent = truncated
+            ? `Showing the newest ${hits.length} matches; narrow the search to see more`
+            : `${hits.length} ${hits.length === 1 ? 'match' : 'matches'}`;
+        renderHits(hits);
+    } catch (error) {
+        console.error('Archive search failed:', error);
+        summaryEl.textContent = `Search failed: ${error.message}`;
+    }
+});
+
+/**
+ * Download the current results through the Markdown formatter
+ */
+exportResultsBtn.addEventListener('click', async () => {
+    try {
+        const config = await getConfig();
+        const formatter = window.SlackSnapFormatters.getFormatter('markdown');
+        const content = formatter.renderCombined(groupHitsForExport(lastHits), { exportedAt: new Date() }, config);
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'DOWNLOAD_FILE',
+            data: {
+                filename: window.SlackSnapUtils.generateFilename('archive-search', config, { extension: formatter.extension }),
+                content,
+                mimeType: formatter.mimeType,
+                directory: config.downloadDirectory
+            }
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Background download failed');
+        }
+        summaryEl.textContent = `Exported ${lastHits.length} matches`;
+    } catch (error) {
+        console.error('Failed to export search results:', error);
+        summaryEl.textContent = `Export failed: ${error.message}`;
+    }
+});
+
+// ── Results ────────────────────────────────────────────────────────
+
+/**
+ * Render the hit list (text only: archived content is never parsed as HTML)
+ */
+function renderHits(hits) {
+    resultsEl.innerHTML = '';
+
+    if (hits.length === 0) {
+        resultsEl.innerHTML = '<div class="empty">No messages match.</div>';
+        return;
+    }
+
+    const terms = (searchTextEl.value.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    for (const hit of hits) {
+        const item = document.createElement('div');
+        item.className = 'hit';
+
+        const meta = document.createElement('div');
+        meta.className = 'hit-meta';
+        const sender = document.createElement('strong');
+        sender.textContent = hit.message.sender;
+        const date = new Date(parseFloat(hit.message.timestamp) * 1000).toLocaleString();
+        meta.append(sender, ` in #${hit.channelName} · ${date}${hit.parent ? ' · thread reply' : ''}`);
+
+        const content = document.createElement('div');
+        content.className = 'hit-content';
+        appendHighlighted(content, hit.message.content || '', terms);
+
+        item.append(meta, content);
+        resultsEl.appendChild(item);
+    }
+}
+
+/**
+ * Append text to an element, wrapping words that start with a search term
+ * in <mark>
+ */
+function appendHighlighted(element, text, terms) {
+    if (terms.length === 0) {
+        element.textContent = text;
+        return;
+    }
+
+    let last = 0;
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = match[0].toLowerCase();
+        if (!terms.some(term => word.startsWith(term))) continue;
+
+        element.append(text.slice(last, match.index));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        element.appendChild(mark);
+        last = match.index + match[0].length;
+    }
+    element.append(text.slice(last));
+}
+
+/**
+ * Turn hits into combined-export sections, one per channel. A matching
+ * reply is exported under its parent (with only the matching replies), so
+ * the thread still reads in context.
+ */
+function groupHitsForExport(hits) {
+    const sections = new Map();
+
+    for (const hit of hits) {
+        if (!sections.has(hit.channelId)) {
+            sections.set(hit.channelId, { channelName: hit.channelName, channelId: hit.channelId, byTs: new Map() });
+        }
+        const { byTs } = sections.get(hit.channelId);
+
+        if (!hit.parent) {
+            byTs.set(hit.message.timestamp, hit.message);
+            continue;
+        }
+
+        const parentTs = hit.parent.timestamp;
+        const existing = byTs.get(parentTs) || { ...hit.parent, threadReplies: [] };
+        // A parent that matched itself already carries the full thread
+        if (existing !== hit.parent && !existing.threadReplies.includes(hit.message)) {
+            existing.threadReplies.push(hit.message);
+        }
+        byTs.set(parentTs, existing);
+    }
+
+    const byTimestamp = (a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp);
+    return Array.from(sections.values()).map(({ byTs, ...section }) => ({
+        ...section,
+        messages: Array.from(byTs.values())
+            .map(message => ({ ...message, threadReplies: [...(message.threadReplies || [])].sort(byTimestamp) }))
+            .sort(byTimestamp)
+    }));
+}
@@ -13,6 +13,34 @@ const channelStatusDiv = document.getElementById('channelStatus');
 const saveChannelsBtn = document.getElementById('saveChannelsBtn');
 const resetChannelsBtn = document.getElementById('resetChannelsBtn');
 const addChannelBtn = document.getElementById('addChannelBtn');
+const browseChannelsBtn = document.getElementById('browseChannelsBtn');
+const channelBrowserEl = document.getElementById('channelBrowser');
+let channelBrowser = null;
+let channelStatusTimer = null;
+
+// Where validation errors are shown, by setting or channel field
+const SETTINGS_FIELD_IDS = {
+    historyDays: 'historyDays',
+    watermarkOverlapMinutes: 'watermarkOverlapMinutes',
+    threadRescanDays: 'threadRescanDays',
+    userDirectoryTtlHours: 'userDirectoryTtlHours',
+    nameDisplay: 'nameDisplay',
+    timeZone: 'timeZone',
+    timeFormat: 'timeFormat',
+    redactionDetectors: 'redactionDetectors',
+    redactionRules: 'redactionRules',
+    rangeStart: 'rangeStart',
+    rangeEnd: 'rangeEnd',
+    exportFormat: 'exportFormat'
+};
+const NEW_CHANNEL_FIELD_IDS = {
+    name: 'newChannelName',
+    channelId: 'newChannelId',
+    tier: 'newChannelTier',
+    type: 'newChannelType',
+    workspace: 'newChannelWorkspace',
+    outputFolder: 'newChannelFolder'
+};
 
 /**
  * Load saved settings when page loads
@@ -24,9 +52,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Populate form fields
         document.getElementById('downloadDirectory').value = config.downloadDirectory;
         document.getElementById('fileNameFormat').value = config.fileNameFormat;
+        document.getElementById('archiveFileNameFormat').value = config.archiveFileNameFormat;
         document.getElementById('includeTimestamps').checked = config.includeTimestamps;
+        document.getElementById('timeZone').value = config.timeZone;
+        document.getElementById('timeFormat').value = config.timeFormat;
+        document.getElementById('relativeDayLabels').checked = config.relativeDayLabels;
         document.getElementById('includeThreadReplies').checked = config.includeThreadReplies;
+        document.getElementById('downloadAttachments').checked = config.downloadAttachments;
+        document.getElementById('nameDisplay').value = config.nameDisplay;
+        document.getElementById('pseudonymizeUsers').checked = config.pseudonymizeUsers;
         document.getElementById('historyDays').value = config.historyDays;
+        document.getElementById('watermarkOverlapMinutes').value = config.watermarkOverlapMinutes;
+        document.getElementById('threadRescanDays').value = config.threadRescanDays;
+        document.getElementById('userDirectoryTtlHours').value = config.userDirectoryTtlHours;
+        document.getElementById('rangeStart').value = config.rangeStart || '';
+        document.getElementById('rangeEnd').value = config.rangeEnd || '';
+        renderFormatOptions(config.exportFormat);
+        renderTimeZoneOptions();
+        renderSubtypeOptions(config.hiddenSubtypes);
+        renderRedactionOptions(config.redactionDetectors, config.redactionRules);
+        renderFilenameTokens();
+        await renderSchedules(config.schedules || []);
+        updateFilenamePreview();
 
         // Populate channel JSON editor
         const channels = config.channels || [];
@@ -47,15 +94,75 @@ form.addEventListener('submit', async (e) => {
     try {
         const formData = new FormData(form);
         
+        const templateErrors = window.SlackSnapUtils.validateFilenameTemplate(formData.get('fileNameFormat') || '');
+        if (templateErrors.length > 0) {
+            showStatus(`Invalid filename format: ${templateErrors[0]}`, 'error');
+            return;
+        }
+        const archiveTemplate = formData.get('archiveFileNameFormat') || window.DEFAULT_CONFIG.archiveFileNameFormat;
+        const archiveTemplateErrors = window.SlackSnapUtils.validateFilenameTemplate(archiveTemplate);
+        if (archiveTemplateErrors.length > 0) {
+            showStatus(`Invalid archive filename: ${archiveTemplateErrors[0]}`, 'error');
+            return;
+        }
+        
+        let downloadDirectory;
+        try {
+            downloadDirectory = window.SlackSnapUtils.sanitizeRelativePath(formData.get('downloadDirectory')) || 'slack-exports';
+        } catch (error) {
+            showStatus(`Invalid download directory: ${error.message}`, 'error');
+            return;
+        }
+        
+        const rangeStart = formData.get('rangeStart') || '';
+        const rangeEnd = formData.get('rangeEnd') || '';
+        if (rangeStart && rangeEnd && rangeEnd < rangeStart) {
+            showStatus('The start date must be before the end date', 'error');
+            return;
+        }
+        
+        const { rules: redactionRules, errors: ruleErrors } = window.SlackSnapRedact.parseRedactionRules(
+            document.getElementById('redactionRules').value
+        );
+        if (ruleErrors.length > 0) {
+            showFieldErrors(ruleErrors.map(message => ({ field: 'redactionRules', message })), SETTINGS_FIELD_IDS);
+            showStatus('Please fix the highlighted settings', 'error');
+            return;
+        }
+        
         const config = {
-            downloadDirectory: formData.get('downloadDirectory') || 'slack-exports',
+            downloadDirectory,
             fileNameFormat: formData.get('fileNameFormat') || 'YYYYMMDD-HHmm-{channel}.md',
+            archiveFileNameFormat: archiveTemplate,
             includeTimestamps: document.getElementById('includeTimestamps').checked,
+            timeZone: document.getElementById('timeZone').value.trim(),
+            timeFormat: document.getElementById('timeFormat').value,
+            relativeDayLabels: document.getElementById('relativeDayLabels').checked,
             includeThreadReplies: document.getElementById('includeThreadReplies').checked,
-            historyDays: parseInt(document.getElementById('historyDays').value) || 7
+            downloadAttachments: document.getElementById('downloadAttachments').checked,
+            nameDisplay: document.getElementById('nameDisplay').value,
+            pseudonymizeUsers: document.getElementById('pseudonymizeUsers').checked,
+            historyDays: parseInt(document.getElementById('historyDays').value, 10),
+            watermarkOverlapMinutes: parseInt(document.getElementById('watermarkOverlapMinutes').value, 10),
+            threadRescanDays: parseInt(document.getElementById('threadRescanDays').value, 10),
+            userDirectoryTtlHours: parseInt(document.getElementById('userDirectoryTtlHours').value, 10),
+            rangeStart,
+            rangeEnd,
+            exportFormat: document.getElementById('exportFormat').value || 'markdown',
+            hiddenSubtypes: getHiddenSubtypes(),
+            redactionDetectors: getRedactionDetectors(),
+            redactionRules
         };
         
+        const { errors } = window.SlackSnapConfigSchema.validateConfig(config);
+        showFieldErrors(errors, SETTINGS_FIELD_IDS);
+        if (errors.length > 0) {
+            showStatus('Please fix the highlighted settings', 'error');
+            return;
+        }
+        
         await saveConfig(config);
+        document.getElementById('downloadDirectory').value = downloadDirectory;
         showStatus('Settings saved successfully!', 'success');
         
     } catch (error) {
@@ -74,17 +181,49 @@ resetBtn.addEventListener('click', async () => {
         // Update form fields
         document.getElementById('downloadDirectory').value = defaultConfig.downloadDirectory;
         document.getElementById('fileNameFormat').value = defaultConfig.fileNameFormat;
+        updateFilenamePreview();
+        document.getElementById('archiveFileNameFormat').value = defaultConfig.archiveFileNameFormat;
         document.getElementById('includeTimestamps').checked = defaultConfig.includeTimestamps;
+        document.getElementById('timeZone').value = defaultConfig.timeZone;
+        document.getElementById('timeFormat').value = defaultConfig.timeFormat;
+        document.getElementById('relativeDayLabels').checked = defaultConfig.relativeDayLabels;
         document.getElementById('includeThreadReplies').checked = defaultConfig.includeThreadReplies;
+        document.getElementById('downloadAttachments').checked = defaultConfig.downloadAttachments;
+        document.getElementById('nameDisplay').value = defaultConfig.nameDisplay;
+        document.getElementById('pseudonymizeUsers').checked = defaultConfig.pseudonymizeUsers;
         document.getElementById('historyDays').value = defaultConfig.historyDays;
+        document.getElementById('watermarkOverlapMinutes').value = defaultConfig.watermarkOverlapMinutes;
+        document.getElementById('threadRescanDays').value = defaultConfig.threadRescanDays;
+        document.getElementById('userDirectoryTtlHours').value = defaultConfig.userDirectoryTtlHours;
+        document.getElementById('rangeStart').value = defaultConfig.rangeStart;
+        document.getElementById('rangeEnd').value = defaultConfig.rangeEnd;
+        document.getElementById('exportFormat').value = defaultConfig.exportFormat;
+        renderSubtypeOptions(defaultConfig.hiddenSubtypes);
+        renderRedactionOptions(defaultConfig.redactionDetectors, defaultConfig.redactionRules);
         
         // Save defaults (only general settings, preserve channels)
         await saveConfig({
             downloadDirectory: defaultConfig.downloadDirectory,
             fileNameFormat: defaultConfig.fileNameFormat,
+            archiveFileNameFormat: defaultConfig.archiveFileNameFormat,
             includeTimestamps: defaultConfig.includeTimestamps,
+            timeZone: defaultConfig.timeZone,
+            timeFormat: defaultConfig.timeFormat,
+            relativeDayLabels: defaultConfig.relativeDayLabels,
             includeThreadReplies: defaultConfig.includeThreadReplies,
-            historyDays: defaultConfig.historyDays
+            downloadAttachments: defaultConfig.downloadAttachments,
+            nameDisplay: defaultConfig.nameDisplay,
+            pseudonymizeUsers: defaultConfig.pseudonymizeUsers,
+            historyDays: defaultConfig.historyDays,
+            watermarkOverlapMinutes: defaultConfig.watermarkOverlapMinutes,
+            threadRescanDays: defaultConfig.threadRescanDays,
+            userDirectoryTtlHours: defaultConfig.userDirectoryTtlHours,
+            rangeStart: defaultConfig.rangeStart,
+            rangeEnd: defaultConfig.rangeEnd,
+            exportFormat: defaultConfig.exportFormat,
+            hiddenSubtypes: defaultConfig.hiddenSubtypes,
+            redactionDetectors: defaultConfig.redactionDetectors,
+            redactionRules: defaultConfig.redactionRules
         });
         showStatus('Settings reset to defaults', 'success');
         
@@ -94,41 +233,88 @@ resetBtn.addEventListener('click', async () => {
     }
 });
 
+/**
+ * Forget cached users, so the next exports fetch everyone's names again
+ */
+document.getElementById('clearUserCacheBtn').addEventListener('click', async () => {
+    try {
+        await window.SlackSnapUsers.clear();
+        showStatus('Cached users cleared', 'success');
+    } catch (error) {
+        console.error('Failed to clear cached users:', error);
+        showStatus('Failed to clear cached users', 'error');
+    }
+});
+
 // ── Channel management ─────────────────────────────────────────────
 
 /**
  * Save channels from JSON editor
  */
 saveChannelsBtn.addEventListener('click', async () => {
+    let parsed;
     try {
-        const parsed = JSON.parse(channelsJsonEl.value);
-        if (!Array.isArray(parsed)) {
-            throw new Error('Channels must be a JSON array');
-        }
+        parsed = JSON.parse(channelsJsonEl.value);
+    } catch (error) {
+        showChannelStatus(`Error: not valid JSON (${error.message})`, 'error');
+        return;
+    }
 
-        // Validate each channel
-        for (const ch of parsed) {
-            if (!ch.name || typeof ch.name !== 'string') {
-                throw new Error(`Invalid channel: missing or invalid "name" field`);
-            }
-            if (ch.tier !== undefined && ![1, 2, 3].includes(Number(ch.tier))) {
-                throw new Error(`Invalid tier for "${ch.name}": must be 1, 2, or 3`);
-            }
-            if (ch.type !== undefined && !['channel', 'dm', 'group'].includes(ch.type)) {
-                throw new Error(`Invalid type for "${ch.name}": must be channel, dm, or group`);
-            }
-        }
+    const { channels, errors } = window.SlackSnapConfigSchema.validateChannels(parsed);
+    if (errors.length > 0) {
+        showChannelErrors(errors);
+        return;
+    }
 
-        await saveConfig({ channels: parsed });
-        showChannelStatus(`Saved ${parsed.length} channels`, 'success');
+    try {
+        await saveConfig({ channels });
+        showChannelStatus(`Saved ${channels.length} channels`, 'success');
 
-        // Re-format the JSON for consistency
-        channelsJsonEl.value = JSON.stringify(parsed, null, 2);
+        // Show the tidied list (IDs pulled out of URLs, defaults filled in)
+        channelsJsonEl.value = JSON.stringify(channels, null, 2);
     } catch (error) {
         showChannelStatus(`Error: ${error.message}`, 'error');
     }
 });
 
+/**
+ * Open the channel browser, listing the workspace in the first Slack tab
+ */
+browseChannelsBtn.addEventListener('click', () => {
+    const opening = channelBrowserEl.style.display === 'none';
+    channelBrowserEl.style.display = opening ? 'block' : 'none';
+    browseChannelsBtn.textContent = opening ? 'Close channel browser' : 'Browse Slack channels';
+    if (!opening || channelBrowser) return;
+
+    channelBrowser = window.SlackSnapChannelBrowser.create(channelBrowserEl, {
+        getTabId: async () => (await window.SlackSnapChannelBrowser.findSlackTab())?.id,
+        getChannels: readChannelsJson,
+        onAdd: async (newChannels) => {
+            // Don't overwrite an edit in progress that doesn't parse
+            const channels = JSON.parse(channelsJsonEl.value);
+            const existing = new Set(channels.map(ch => ch.channelId));
+            const added = newChannels.filter(ch => !existing.has(ch.channelId));
+            channels.push(...added);
+            channelsJsonEl.value = JSON.stringify(channels, null, 2);
+            await saveConfig({ channels });
+            showChannelStatus(`Added ${added.length} channels`, 'success');
+        }
+    });
+    channelBrowser.load();
+});
+
+/**
+ * Channels currently in the JSON editor ([] while it doesn't parse, or isn't a list)
+ */
+function readChannelsJson() {
+    try {
+        const parsed = JSON.parse(channelsJsonEl.value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
 /**
  * Reset channels to initial defaults
  */
@@ -151,20 +337,11 @@ addChannelBtn.addEventListener('click', async () => {
     const channelId = document.getElementById('newChannelId').value.trim();
     const tier = parseInt(document.getElementById('newChannelTier').value);
     const type = document.getElementById('newChannelType').value;
-
-    if (!name) {
-        showChannelStatus('Please enter a channel name', 'error');
-        return;
-    }
+    const outputFolder = document.getElementById('newChannelFolder').value.trim();
+    const workspace = document.getElementById('newChannelWorkspace').value.trim();
 
     try {
-        let channels = [];
-        try {
-            channels = JSON.parse(channelsJsonEl.value);
-        } catch (e) {
-            channels = [];
-        }
-
+        const channels = readChannelsJson();
         const newChannel = {
             name,
             channelId: channelId || '',
@@ -172,14 +349,31 @@ addChannelBtn.addEventListener('click', async () => {
             type,
             enabled: true
         };
+        if (workspace) {
+            newChannel.workspace = workspace;
+        }
+        if (outputFolder) {
+            newChannel.outputFolder = outputFolder;
+        }
 
-        channels.push(newChannel);
-        channelsJsonEl.value = JSON.stringify(channels, null, 2);
-        await saveConfig({ channels });
+        // Errors about the new channel go next to its form fields
+        const result = window.SlackSnapConfigSchema.validateChannels([...channels, newChannel]);
+        const formErrors = result.errors.filter(error => error.index === channels.length);
+        showFieldErrors(formErrors, NEW_CHANNEL_FIELD_IDS);
+        if (formErrors.length > 0) return;
+        if (result.errors.length > 0) {
+            showChannelErrors(result.errors);
+            return;
+        }
+
+        channelsJsonEl.value = JSON.stringify(result.channels, null, 2);
+        await saveConfig({ channels: result.channels });
 
         // Clear form
         document.getElementById('newChannelName').value = '';
         document.getElementById('newChannelId').value = '';
+        document.getElementById('newChannelFolder').value = '';
+        document.getElementById('newChannelWorkspace').value = '';
 
         showChannelStatus(`Added "${name}"`, 'success');
     } catch (error) {
@@ -187,6 +381,396 @@ addChannelBtn.addEventListener('click', async () => {
     }
 });
 
+// ── Scheduled exports ──────────────────────────────────────────────
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const scheduleListEl = document.getElementById('scheduleList');
+const scheduleFrequencyEl = document.getElementById('newScheduleFrequency');
+
+scheduleFrequencyEl.addEventListener('change', updateScheduleDayVisibility);
+updateScheduleDayVisibility();
+
+function updateScheduleDayVisibility() {
+    document.getElementById('newScheduleDayGroup').style.visibility =
+        scheduleFrequencyEl.value === 'weekly' ? 'visible' : 'hidden';
+}
+
+/**
+ * Add a schedule via the form
+ */
+document.getElementById('addScheduleBtn').addEventListener('click', async () => {
+    const name = document.getElementById('newScheduleName').value.trim();
+    const time = document.getElementById('newScheduleTime').value;
+    const tiers = Array.from(document.querySelectorAll('#newScheduleTiers input:checked')).map(cb => Number(cb.value));
+
+    if (!name) {
+        showScheduleStatus('Please enter a schedule name', 'error');
+        return;
+    }
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+        showScheduleStatus('Please pick a time', 'error');
+        return;
+    }
+    if (tiers.length === 0) {
+        showScheduleStatus('Pick at least one tier', 'error');
+        return;
+    }
+
+    try {
+        const { schedules = [] } = await getConfig();
+        const schedule = {
+            id: `schedule-${Date.now().toString(36)}`,
+            name,
+            enabled: true,
+            frequency: scheduleFrequencyEl.value,
+            time,
+            tiers
+        };
+        if (schedule.frequency === 'weekly') {
+            schedule.dayOfWeek = Number(document.getElementById('newScheduleDay').value);
+        }
+
+        schedules.push(schedule);
+        await saveConfig({ schedules });
+        await renderSchedules(schedules);
+
+        document.getElementById('newScheduleName').value = '';
+        showScheduleStatus(`Added "${name}"`, 'success');
+    } catch (error) {
+        showScheduleStatus(`Error: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * List the schedules with an on/off toggle, delete button and last run
+ */
+async function renderSchedules(schedules) {
+    const stored = await chrome.storage.local.get('scheduleRuns');
+    const runs = stored.scheduleRuns || {};
+    scheduleListEl.innerHTML = '';
+
+    if (schedules.length === 0) {
+        scheduleListEl.innerHTML = '<div class="description">No schedules yet.</div>';
+        return;
+    }
+
+    for (const schedule of schedules) {
+        const row = document.createElement('div');
+        row.className = 'schedule-item';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = schedule.enabled;
+        toggle.title = 'Enabled';
+        toggle.addEventListener('change', () => updateSchedules(list =>
+            list.map(s => (s.id === schedule.id ? { ...s, enabled: toggle.checked } : s))
+        ));
+
+        const info = document.createElement('div');
+        info.className = 'schedule-info';
+        const title = document.createElement('strong');
+        title.textContent = schedule.name;
+        const details = document.createElement('div');
+        details.className = 'description';
+        details.textContent = `${describeSchedule(schedule)} · ${describeScheduleRun(runs[schedule.id])}`;
+        info.append(title, details);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'reset-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => updateSchedules(list => list.filter(s => s.id !== schedule.id)));
+
+        row.append(toggle, info, deleteBtn);
+        scheduleListEl.appendChild(row);
+    }
+}
+
+async function updateSchedules(change) {
+    try {
+        const { schedules = [] } = await getConfig();
+        const updated = change(schedules);
+        await saveConfig({ schedules: updated });
+        await renderSchedules(updated);
+    } catch (error) {
+        showScheduleStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+function describeSchedule(schedule) {
+    const when = schedule.frequency === 'weekly'
+        ? `Every ${DAY_NAMES[schedule.dayOfWeek]} at ${schedule.time}`
+        : `Daily at ${schedule.time}`;
+    const tiers = schedule.tiers || [];
+    return `${when} · Tier${tiers.length === 1 ? '' : 's'} ${tiers.join(', ')}`;
+}
+
+function describeScheduleRun(run) {
+    if (!run) return 'Not run yet';
+    const when = new Date(run.finishedAt).toLocaleString();
+    if (run.error) return `Last run ${when}: ${run.error}`;
+
+    const failed = run.results.filter(r => !r.success).length;
+    return failed > 0
+        ? `Last run ${when}: ${failed} of ${run.results.length} channels failed`
+        : `Last run ${when}: ${run.results.length} channels exported`;
+}
+
+// ── Settings profile ───────────────────────────────────────────────
+
+const profileFileEl = document.getElementById('profileFile');
+const profilePreviewEl = document.getElementById('profilePreview');
+const profileChangesEl = document.getElementById('profileChanges');
+const profileImportWatermarksCb = document.getElementById('profileImportWatermarks');
+let pendingProfile = null; // { settings, hasWatermarks } picked but not applied yet
+
+/**
+ * Download every setting as a profile file
+ */
+document.getElementById('exportProfileBtn').addEventListener('click', async () => {
+    try {
+        const config = await getConfig();
+        const profile = window.SlackSnapProfile.buildProfile(config, {
+            includeWatermarks: document.getElementById('profileIncludeWatermarks').checked
+        });
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'DOWNLOAD_FILE',
+            data: {
+                filename: `slacksnap-profile-${window.SlackSnapUtils.formatDate(new Date(), 'YYYYMMDD')}.json`,
+                content: JSON.stringify(profile, null, 2),
+                mimeType: 'application/json',
+                directory: config.downloadDirectory
+            }
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Background download failed');
+        }
+        showProfileStatus('Settings exported', 'success');
+    } catch (error) {
+        console.error('Failed to export settings:', error);
+        showProfileStatus(`Export failed: ${error.message}`, 'error');
+    }
+});
+
+document.getElementById('importProfileBtn').addEventListener('click', () => {
+    profileFileEl.value = '';
+    profileFileEl.click();
+});
+
+/**
+ * Read the picked profile and preview what it would change
+ */
+profileFileEl.addEventListener('change', async () => {
+    const file = profileFileEl.files[0];
+    if (!file) return;
+
+    try {
+        pendingProfile = window.SlackSnapProfile.parseProfile(await file.text());
+    } catch (error) {
+        pendingProfile = null;
+        profilePreviewEl.style.display = 'none';
+        showProfileStatus(`Can't import ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    document.getElementById('profileFileName').textContent = file.name;
+    profileImportWatermarksCb.checked = false;
+    profileImportWatermarksCb.disabled = !pendingProfile.hasWatermarks;
+    profilePreviewEl.style.display = 'block';
+    await renderProfilePreview();
+});
+
+document.querySelectorAll('input[name="profileMode"]').forEach(radio => {
+    radio.addEventListener('change', renderProfilePreview);
+});
+profileImportWatermarksCb.addEventListener('change', renderProfilePreview);
+
+document.getElementById('cancelProfileBtn').addEventListener('click', () => {
+    pendingProfile = null;
+    profilePreviewEl.style.display = 'none';
+});
+
+/**
+ * Save the previewed import, then reload the page to show it
+ */
+document.getElementById('applyProfileBtn').addEventListener('click', async () => {
+    if (!pendingProfile) return;
+
+    try {
+        const current = await getConfig();
+        const next = window.SlackSnapProfile.applyProfile(current, pendingProfile.settings, getProfileImportOptions());
+        await saveConfig(next);
+        window.location.reload();
+    } catch (error) {
+        console.error('Failed to import settings:', error);
+        showProfileStatus(`Import failed: ${error.message}`, 'error');
+    }
+});
+
+async function renderProfilePreview() {
+    if (!pendingProfile) return;
+
+    const current = await getConfig();
+    const next = window.SlackSnapProfile.applyProfile(current, pendingProfile.settings, getProfileImportOptions());
+    const changes = window.SlackSnapProfile.diffSettings(current, next);
+
+    profileChangesEl.innerHTML = '';
+    for (const change of changes.length > 0 ? changes : ['No changes: your settings already match this profile']) {
+        const item = document.createElement('li');
+        item.textContent = change;
+        profileChangesEl.appendChild(item);
+    }
+    document.getElementById('applyProfileBtn').disabled = changes.length === 0;
+}
+
+function getProfileImportOptions() {
+    return {
+        mode: document.querySelector('input[name="profileMode"]:checked').value,
+        includeWatermarks: profileImportWatermarksCb.checked
+    };
+}
+
+// ── Output format ──────────────────────────────────────────────────
+
+/**
+ * Fill the format dropdown from the formatter registry
+ */
+function renderFormatOptions(selected) {
+    const select = document.getElementById('exportFormat');
+    select.innerHTML = '';
+
+    for (const formatter of window.SlackSnapFormatters.listFormatters()) {
+        const option = document.createElement('option');
+        option.value = formatter.id;
+        option.textContent = `${formatter.label} (.${formatter.extension})`;
+        select.appendChild(option);
+    }
+    select.value = selected || 'markdown';
+}
+
+// ── Time zone ──────────────────────────────────────────────────────
+
+/**
+ * Suggest "profile" and every zone the browser knows for the time zone box
+ */
+function renderTimeZoneOptions() {
+    const list = document.getElementById('timeZoneList');
+    list.innerHTML = '';
+
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    for (const zone of ['profile', ...zones]) {
+        const option = document.createElement('option');
+        option.value = zone;
+        list.appendChild(option);
+    }
+}
+
+// ── Filename template ──────────────────────────────────────────────
+
+const fileNameInput = document.getElementById('fileNameFormat');
+const fileNamePreview = document.getElementById('fileNamePreview');
+
+fileNameInput.addEventListener('input', updateFilenamePreview);
+document.getElementById('exportFormat').addEventListener('change', updateFilenamePreview);
+
+/**
+ * List the template placeholders in the help text
+ */
+function renderFilenameTokens() {
+    document.getElementById('filenameTokens').textContent =
+        Object.keys(window.SlackSnapUtils.FILENAME_TOKENS).map(name => `{${name}}`).join(', ');
+}
+
+/**
+ * Show the filename the current template produces for a sample export,
+ * or the template's problems
+ */
+function updateFilenamePreview() {
+    const template = fileNameInput.value;
+    const errors = window.SlackSnapUtils.validateFilenameTemplate(template);
+
+    if (errors.length > 0) {
+        fileNamePreview.textContent = `⚠️ ${errors.join(' · ')}`;
+        fileNamePreview.className = 'filename-preview invalid';
+        return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { extension } = window.SlackSnapFormatters.getFormatter(document.getElementById('exportFormat').value);
+    const sample = window.SlackSnapUtils.generateFilename('team-general', { fileNameFormat: template }, {
+        extension,
+        range: { oldest: now - 7 * 86400, latest: now },
+        channelId: 'C0123456789',
+        workspace: 'acme',
+        type: 'channel',
+        tier: 1,
+        messageCount: 42
+    });
+    fileNamePreview.textContent = `Example: ${sample}`;
+    fileNamePreview.className = 'filename-preview';
+}
+
+// ── System message subtypes ────────────────────────────────────────
+
+/**
+ * Render one checkbox per system message subtype (ticked = included)
+ */
+function renderSubtypeOptions(hiddenSubtypes = []) {
+    const container = document.getElementById('systemSubtypes');
+    container.innerHTML = '';
+
+    for (const [subtype, label] of Object.entries(window.SYSTEM_MESSAGE_SUBTYPES)) {
+        const row = document.createElement('label');
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.dataset.subtype = subtype;
+        cb.checked = !hiddenSubtypes.includes(subtype);
+        row.appendChild(cb);
+        row.appendChild(document.createTextNode(label));
+        container.appendChild(row);
+    }
+}
+
+/**
+ * Collect the unticked subtypes
+ */
+function getHiddenSubtypes() {
+    return Array.from(document.querySelectorAll('#systemSubtypes input[type="checkbox"]'))
+        .filter(cb => !cb.checked)
+        .map(cb => cb.dataset.subtype);
+}
+
+/**
+ * Render a checkbox per built-in redaction detector, and the custom rules
+ */
+function renderRedactionOptions(detectors = [], rules = []) {
+    const container = document.getElementById('redactionDetectors');
+    container.innerHTML = '';
+
+    for (const [id, { label }] of Object.entries(window.SlackSnapRedact.REDACTION_DETECTORS)) {
+        const row = document.createElement('label');
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.dataset.detector = id;
+        cb.checked = detectors.includes(id);
+        row.appendChild(cb);
+        row.appendChild(document.createTextNode(label));
+        container.appendChild(row);
+    }
+
+    document.getElementById('redactionRules').value = window.SlackSnapRedact.formatRedactionRules(rules);
+}
+
+/**
+ * Collect the ticked detectors
+ */
+function getRedactionDetectors() {
+    return Array.from(document.querySelectorAll('#redactionDetectors input[type="checkbox"]'))
+        .filter(cb => cb.checked)
+        .map(cb => cb.dataset.detector);
+}
+
 // ── Helpers ────────────────────────────────────────────────────────
 
 /**
@@ -202,15 +786,88 @@ function showStatus(message, type) {
     }, 3000);
 }
 
+/**
+ * Show status message for settings profiles
+ */
+function showProfileStatus(message, type) {
+    const profileStatusDiv = document.getElementById('profileStatus');
+    profileStatusDiv.textContent = message;
+    profileStatusDiv.className = `status ${type}`;
+    profileStatusDiv.style.display = 'block';
+    
+    setTimeout(() => {
+        profileStatusDiv.style.display = 'none';
+    }, 5000);
+}
+
+/**
+ * Show status message for scheduled exports
+ */
+function showScheduleStatus(message, type) {
+    const scheduleStatusDiv = document.getElementById('scheduleStatus');
+    scheduleStatusDiv.textContent = message;
+    scheduleStatusDiv.className = `status ${type}`;
+    scheduleStatusDiv.style.display = 'block';
+    
+    setTimeout(() => {
+        scheduleStatusDiv.style.display = 'none';
+    }, 3000);
+}
+
 /**
  * Show status message for channel management
  */
 function showChannelStatus(message, type) {
+    clearTimeout(channelStatusTimer);
     channelStatusDiv.textContent = message;
     channelStatusDiv.className = `status ${type}`;
     channelStatusDiv.style.display = 'block';
     
-    setTimeout(() => {
+    channelStatusTimer = setTimeout(() => {
         channelStatusDiv.style.display = 'none';
     }, 3000);
+}
+
+/**
+ * List channel validation errors; they stay until the next save
+ * @param {Array<Object>} errors - Errors from validateChannels
+ */
+function showChannelErrors(errors) {
+    clearTimeout(channelStatusTimer);
+    channelStatusDiv.innerHTML = '';
+    channelStatusDiv.className = 'status error field-errors';
+    channelStatusDiv.append(`${errors.length} ${errors.length === 1 ? 'problem' : 'problems'} with the channel list:`);
+
+    const list = document.createElement('ul');
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = window.SlackSnapConfigSchema.describeConfigError(error);
+        list.appendChild(item);
+    }
+    channelStatusDiv.appendChild(list);
+    channelStatusDiv.style.display = 'block';
+}
+
+/**
+ * Mark the inputs that failed validation, with the message under each one,
+ * and clear earlier marks
+ * @param {Array<Object>} errors - Errors from the config schema
+ * @param {Object} fieldIds - Setting or channel field name → input element ID
+ */
+function showFieldErrors(errors, fieldIds) {
+    for (const id of Object.values(fieldIds)) {
+        const input = document.getElementById(id);
+        input.classList.remove('invalid');
+        input.parentElement.querySelectorAll('.field-error').forEach(el => el.remove());
+    }
+
+    for (const error of errors) {
+        const input = document.getElementById(fieldIds[error.field]);
+        if (!input) continue;
+        input.classList.add('invalid');
+        const message = document.createElement('div');
+        message.className = 'field-error';
+        message.textContent = error.message.charAt(0).toUpperCase() + error.message.slice(1);
+        input.insertAdjacentElement('afterend', message);
+    }
 } 
\ No newline at end of file
@@ -1,6 +1,7 @@
 /**
  * SlackSnap Batch Export Popup
- * Orchestrates multi-channel export via the content script running on the Slack page.
+ * Picks channels and starts batch exports, which run as a background job
+ * (src/jobs.js) through the content script on the Slack page.
  */
 
 // ── State ──────────────────────────────────────────────────────────
@@ -10,6 +11,13 @@ let config = {};
 let lastExportTimestamps = {};
 let activeTab = null;
 let isExporting = false;
+let workspaces = [];             // Signed-in workspaces, from the Slack tab
+let selectedWorkspace = null;    // null: whichever workspace the tab has open
+let channelBrowser = null;       // Created the first time the browser is opened
+let quickAddDetected = null;     // GET_CURRENT_CHANNEL response waiting for confirmation
+
+// A finished job's summary still shows if the popup is reopened this soon after
+const RECENT_JOB_MS = 5 * 60 * 1000;
 
 // ── DOM references ─────────────────────────────────────────────────
 
@@ -18,15 +26,35 @@ const noChannelsEl = document.getElementById('noChannels');
 const notOnSlackEl = document.getElementById('notOnSlack');
 const exportBtn = document.getElementById('exportBtn');
 const combinedExportCb = document.getElementById('combinedExport');
+const archiveModeCb = document.getElementById('archiveMode');
+const rangeStartEl = document.getElementById('rangeStart');
+const rangeEndEl = document.getElementById('rangeEnd');
+const clearRangeBtn = document.getElementById('clearRangeBtn');
+const filterPanel = document.getElementById('filterPanel');
 const progressSection = document.getElementById('progressSection');
 const progressBar = document.getElementById('progressBar');
 const progressText = document.getElementById('progressText');
+const pauseJobBtn = document.getElementById('pauseJobBtn');
+const resumeJobBtn = document.getElementById('resumeJobBtn');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
 const summarySection = document.getElementById('summarySection');
 const exportControls = document.getElementById('exportControls');
 const settingsBtn = document.getElementById('settingsBtn');
+const archiveBtn = document.getElementById('archiveBtn');
 const quickAddBtn = document.getElementById('quickAddBtn');
 const quickAddSection = document.getElementById('quickAddSection');
+const quickAddConfirmEl = document.getElementById('quickAddConfirm');
+const quickAddNameEl = document.getElementById('quickAddName');
+const quickAddTierEl = document.getElementById('quickAddTier');
+const quickAddTypeEl = document.getElementById('quickAddType');
+const quickAddWarningEl = document.getElementById('quickAddWarning');
+const quickAddSaveBtn = document.getElementById('quickAddSaveBtn');
+const quickAddCancelBtn = document.getElementById('quickAddCancelBtn');
+const browseBtn = document.getElementById('browseBtn');
+const browserSection = document.getElementById('browserSection');
 const openOptionsLink = document.getElementById('openOptionsLink');
+const workspaceBar = document.getElementById('workspaceBar');
+const workspaceSelect = document.getElementById('workspaceSelect');
 
 // ── Initialisation ─────────────────────────────────────────────────
 
@@ -56,11 +84,16 @@ document.addEventListener('DOMContentLoaded', async () => {
       await saveConfig({ channels });
     }
 
-    // Load combined export preference
+    // Load combined/archive export preferences and default date range
     combinedExportCb.checked = config.combinedExport || false;
+    archiveModeCb.checked = config.archiveMode || false;
+    rangeStartEl.value = config.rangeStart || '';
+    rangeEndEl.value = config.rangeEnd || '';
 
+    await loadWorkspaces();
     renderChannels();
     updateExportButton();
+    await loadJobStatus();
   } catch (error) {
     console.error('Popup init error:', error);
   }
@@ -72,6 +105,10 @@ settingsBtn.addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
 
+archiveBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('archive.html') });
+});
+
 openOptionsLink && openOptionsLink.addEventListener('click', (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
@@ -85,15 +122,74 @@ combinedExportCb.addEventListener('change', async () => {
   await saveConfig({ combinedExport: combinedExportCb.checked });
 });
 
+archiveModeCb.addEventListener('change', async () => {
+  await saveConfig({ archiveMode: archiveModeCb.checked });
+});
+
+clearRangeBtn.addEventListener('click', () => {
+  rangeStartEl.value = '';
+  rangeEndEl.value = '';
+});
+
+pauseJobBtn.addEventListener('click', async () => {
+  pauseJobBtn.disabled = true;
+  await chrome.runtime.sendMessage({ action: 'JOB_PAUSE' });
+});
+
+resumeJobBtn.addEventListener('click', async () => {
+  resumeJobBtn.disabled = true;
+  const response = await chrome.runtime.sendMessage({ action: 'JOB_RESUME', data: { tabId: activeTab.id } });
+  if (!response || !response.success) {
+    resumeJobBtn.disabled = false;
+    summarySection.textContent = response?.error || 'Could not resume the export';
+    summarySection.className = 'summary-section has-errors';
+    summarySection.style.display = 'block';
+  }
+});
+
+cancelJobBtn.addEventListener('click', async () => {
+  cancelJobBtn.disabled = true;
+  await chrome.runtime.sendMessage({ action: 'JOB_CANCEL' });
+});
+
+// Progress broadcasts from the background job runner
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'JOB_PROGRESS' && channels.length > 0) {
+    renderJob(message.job);
+  }
+});
+
 quickAddBtn.addEventListener('click', quickAddCurrentChannel);
 
+quickAddSaveBtn.addEventListener('click', confirmQuickAdd);
+
+quickAddCancelBtn.addEventListener('click', () => {
+  hideQuickAddConfirm();
+  quickAddBtn.textContent = '+ Add current channel';
+  quickAddBtn.disabled = false;
+});
+
+browseBtn.addEventListener('click', toggleChannelBrowser);
+
+workspaceSelect.addEventListener('change', () => {
+  selectedWorkspace = workspaceSelect.value;
+  renderChannels();
+  updateExportButton();
+  if (channelBrowser && browserSection.style.display !== 'none') {
+    channelBrowser.setWorkspace(selectedWorkspace);
+  } else {
+    channelBrowser = null; // Built for the new workspace when next opened
+  }
+});
+
 // ── Render ─────────────────────────────────────────────────────────
 
 function renderChannels() {
   channelListEl.innerHTML = '';
 
-  const enabledChannels = channels.filter(c => c.enabled);
-  if (enabledChannels.length === 0 && channels.length === 0) {
+  const visibleChannels = channels.filter(isInSelectedWorkspace);
+  const enabledChannels = visibleChannels.filter(c => c.enabled);
+  if (enabledChannels.length === 0 && visibleChannels.length === 0) {
     noChannelsEl.style.display = 'block';
     channelListEl.style.display = 'none';
     exportControls.style.display = 'none';
@@ -106,7 +202,7 @@ function renderChannels() {
 
   // Group by tier
   const tiers = {};
-  for (const ch of channels) {
+  for (const ch of visibleChannels) {
     const tier = ch.tier || 1;
     if (!tiers[tier]) tiers[tier] = [];
     tiers[tier].push(ch);
@@ -162,9 +258,11 @@ function renderChannels() {
         metaSpan.textContent = 'no ID';
         metaSpan.style.color = '#e01e5a';
       } else {
-        metaSpan.textContent = formatLastExported(ch.channelId);
+        metaSpan.textContent = formatLastExported(ch);
       }
 
+      const formatSelect = createFormatSelect(ch);
+
       const statusSpan = document.createElement('span');
       statusSpan.className = 'channel-status';
       statusSpan.id = `status-${ch.channelId}`;
@@ -172,6 +270,7 @@ function renderChannels() {
       item.appendChild(cb);
       item.appendChild(nameSpan);
       item.appendChild(metaSpan);
+      item.appendChild(formatSelect);
       item.appendChild(statusSpan);
       group.appendChild(item);
 
@@ -192,6 +291,41 @@ function renderChannels() {
   }
 }
 
+/**
+ * Per-channel output format picker. "Default" follows the global setting.
+ */
+function createFormatSelect(ch) {
+  const select = document.createElement('select');
+  select.className = 'format-select';
+  select.title = 'Output format';
+  select.disabled = !ch.channelId;
+
+  const defaultFormatter = window.SlackSnapFormatters.getFormatter(config.exportFormat);
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = `Default (${defaultFormatter.extension})`;
+  select.appendChild(defaultOption);
+
+  for (const formatter of window.SlackSnapFormatters.listFormatters()) {
+    const option = document.createElement('option');
+    option.value = formatter.id;
+    option.textContent = formatter.extension;
+    select.appendChild(option);
+  }
+  select.value = ch.format || '';
+
+  select.addEventListener('change', async () => {
+    if (select.value) {
+      ch.format = select.value;
+    } else {
+      delete ch.format;
+    }
+    await saveConfig({ channels });
+  });
+
+  return select;
+}
+
 // ── Selection helpers ──────────────────────────────────────────────
 
 function getSelectedChannels() {
@@ -219,102 +353,150 @@ function updateTierCheckbox(tier) {
   tierCb.indeterminate = checkedCbs.length > 0 && checkedCbs.length < tierCbs.length;
 }
 
-// ── Batch export orchestration ─────────────────────────────────────
+// ── Batch export jobs ──────────────────────────────────────────────
+// The export itself runs in the background service worker (src/jobs.js),
+// so it carries on when the popup closes; the popup starts, follows and
+// cancels it.
 
 async function exportSelected() {
   const selected = getSelectedChannels();
   if (selected.length === 0) return;
 
-  isExporting = true;
-  exportBtn.disabled = true;
-  progressSection.style.display = 'block';
-  summarySection.style.display = 'none';
-  exportControls.style.display = 'none';
-
-  // Disable all checkboxes during export
-  channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.disabled = true; });
-
-  const results = [];
-  let combinedMarkdown = '';
-
-  for (let i = 0; i < selected.length; i++) {
-    const channel = selected[i];
-    updateProgress(i, selected.length, channel.name);
-    setChannelStatus(channel.channelId, 'active');
-
-    try {
-      const response = await chrome.tabs.sendMessage(activeTab.id, {
-        action: 'BATCH_EXPORT_CHANNEL',
-        channelId: channel.channelId,
-        channelName: channel.name,
-        oldestTimestamp: lastExportTimestamps[channel.channelId] || null
-      });
+  // An explicit date range is an ad-hoc export: it overrides "since last
+  // export" and leaves the incremental timestamps untouched
+  const { oldestTimestamp, latestTimestamp } = window.SlackSnapUtils.parseDateRange(rangeStartEl.value, rangeEndEl.value);
+  if (oldestTimestamp !== null && latestTimestamp !== null && latestTimestamp <= oldestTimestamp) {
+    summarySection.textContent = 'The start date must be before the end date.';
+    summarySection.className = 'summary-section has-errors';
+    summarySection.style.display = 'block';
+    return;
+  }
 
-      if (response && response.success) {
-        if (response.messageCount > 0) {
-          // Trigger download via background script
-          await chrome.runtime.sendMessage({
-            action: 'DOWNLOAD_FILE',
-            data: {
-              filename: generateFilename(channel.name),
-              content: response.markdown,
-              directory: config.downloadDirectory || 'slack-exports'
-            }
-          });
-
-          // Accumulate for combined file
-          if (combinedExportCb.checked) {
-            combinedMarkdown += `\n\n---\n\n## ${channel.name}\n\n` + response.markdown.split('\n').slice(3).join('\n');
-          }
-        }
-
-        // Update last exported timestamp
-        lastExportTimestamps[channel.channelId] = Date.now();
-        await saveConfig({ lastExportTimestamps });
-
-        setChannelStatus(channel.channelId, 'success');
-        results.push({ channel: channel.name, success: true, count: response.messageCount });
-      } else {
-        setChannelStatus(channel.channelId, 'error');
-        results.push({ channel: channel.name, success: false, error: response?.error || 'Unknown error' });
-      }
-    } catch (error) {
-      setChannelStatus(channel.channelId, 'error');
-      results.push({ channel: channel.name, success: false, error: error.message });
-    }
+  const filters = readExportFilters();
+  const filterError = filters && window.SlackSnapConfigSchema.describeMessageFilterError(filters);
+  if (filterError) {
+    filterPanel.open = true;
+    summarySection.textContent = `Filters: ${filterError}`;
+    summarySection.className = 'summary-section has-errors';
+    summarySection.style.display = 'block';
+    return;
+  }
 
-    // Rate limit delay between channels (skip after last)
-    if (i < selected.length - 1) {
-      updateProgress(i + 1, selected.length, 'Waiting (rate limit)...');
-      await sleep(2500);
+  const response = await chrome.runtime.sendMessage({
+    action: 'JOB_START',
+    data: {
+      channels: selected.map(ch => ({
+        name: ch.name, channelId: ch.channelId, format: ch.format, workspace: ch.workspace, filters: ch.filters
+      })),
+      tabId: activeTab.id,
+      workspace: selectedWorkspace,
+      oldestTimestamp,
+      latestTimestamp,
+      combined: combinedExportCb.checked,
+      archive: archiveModeCb.checked,
+      filters
     }
+  });
+
+  if (!response || !response.success) {
+    summarySection.textContent = response?.error || 'Could not start the export';
+    summarySection.className = 'summary-section has-errors';
+    summarySection.style.display = 'block';
+    return;
   }
+  renderJob(response.job);
+}
 
-  // Download combined file if enabled
-  if (combinedExportCb.checked && combinedMarkdown) {
-    const now = new Date();
-    const header = `# SlackSnap Combined Export\n*Exported: ${now.toLocaleString()}*\n`;
-    try {
-      await chrome.runtime.sendMessage({
-        action: 'DOWNLOAD_FILE',
-        data: {
-          filename: generateFilename('combined'),
-          content: header + combinedMarkdown,
-          directory: config.downloadDirectory || 'slack-exports'
-        }
-      });
-    } catch (e) {
-      console.error('Failed to download combined file:', e);
-    }
+/**
+ * This export's filters from the Filters panel (each channel's own filters
+ * from the options page apply as well)
+ * @returns {Object|null} Filter set (see src/filters.js), or null when none are set
+ */
+function readExportFilters() {
+  const value = id => document.getElementById(id).value.trim();
+  const checked = id => document.getElementById(id).checked;
+  const minReplies = value('filterMinReplies');
+
+  const filters = {
+    onlyUsers: splitFilterList(value('filterOnlyUsers')),
+    exceptUsers: splitFilterList(value('filterExceptUsers')),
+    includeText: splitFilterList(value('filterIncludeText')),
+    excludeText: splitFilterList(value('filterExcludeText')),
+    skipBots: checked('filterSkipBots'),
+    skipSystem: checked('filterSkipSystem'),
+    minReplies: minReplies === '' ? 0 : Number(minReplies),
+    reaction: value('filterReaction'),
+    mentionsMe: checked('filterMentionsMe')
+  };
+  return window.SlackSnapFilters.hasFilters(filters) ? filters : null;
+}
+
+/**
+ * Split a comma-separated box into entries, leaving a /regex/ with commas
+ * in it whole
+ */
+function splitFilterList(text) {
+  return (text.match(/\/(?:\\.|[^/\\])+\/[a-z]*(?=\s*(?:,|$))|[^,\s][^,]*/g) || [])
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Pick up the current job (or one that just finished) when the popup opens
+ */
+async function loadJobStatus() {
+  const { job } = await chrome.runtime.sendMessage({ action: 'JOB_STATUS' });
+  if (!job) return;
+  if (job.status === 'running' || job.resumable || Date.now() - job.finishedAt < RECENT_JOB_MS) {
+    renderJob(job);
   }
+}
 
-  // Show summary
-  updateProgress(selected.length, selected.length, 'Done!');
-  showSummary(results);
+/**
+ * Show a job's progress, or its summary once it's over. A paused job, or a
+ * finished one that can be resumed, keeps its Resume button.
+ * @param {Object} job - Job state from the background
+ */
+function renderJob(job) {
+  const running = job.status === 'running';
+  const paused = job.status === 'paused';
+  const wasExporting = isExporting;
+  isExporting = running || paused;
+
+  job.channels.forEach(ch => setChannelStatus(ch.channelId, ch.status));
+  updateProgress(job.current, job.total, job.label);
+
+  progressSection.style.display = running || job.resumable ? 'block' : 'none';
+  pauseJobBtn.style.display = running ? '' : 'none';
+  resumeJobBtn.style.display = job.resumable ? '' : 'none';
+  cancelJobBtn.style.display = running || job.resumable ? '' : 'none';
+  [pauseJobBtn, resumeJobBtn, cancelJobBtn].forEach(btn => { btn.disabled = false; });
+
+  if (running || paused) {
+    summarySection.style.display = 'none';
+    exportControls.style.display = 'none';
+    // No changes to the selection while a job is running or paused
+    channelListEl.querySelectorAll('input[type="checkbox"], select').forEach(el => { el.disabled = true; });
+    return;
+  }
+
+  if (job.status === 'failed') {
+    summarySection.textContent = `Export failed: ${job.error}`;
+    summarySection.className = 'summary-section has-errors';
+    summarySection.style.display = 'block';
+  } else {
+    showSummary(job.results, job.status === 'cancelled', job.resumable);
+  }
 
-  isExporting = false;
+  if (wasExporting) {
+    enableChannelInputs();
+    getConfig().then(latest => { lastExportTimestamps = latest.lastExportTimestamps || {}; });
+  }
+  exportControls.style.display = 'block';
+  updateExportButton();
+}
 
-  // Re-enable checkboxes
+function enableChannelInputs() {
   channelListEl.querySelectorAll('input[type="checkbox"]').forEach(cb => {
     const channelId = cb.dataset.channelId;
     const ch = channels.find(c => c.channelId === channelId);
@@ -326,13 +508,13 @@ async function exportSelected() {
       cb.disabled = false;
     }
   });
-  // Also re-enable tier-level checkboxes
+  // Also re-enable tier-level checkboxes and format pickers
   channelListEl.querySelectorAll('.tier-header input[type="checkbox"]').forEach(cb => {
     cb.disabled = false;
   });
-
-  exportControls.style.display = 'block';
-  updateExportButton();
+  channelListEl.querySelectorAll('.channel-item:not(.no-id) .format-select').forEach(select => {
+    select.disabled = false;
+  });
 }
 
 // ── Progress & status helpers ──────────────────────────────────────
@@ -355,12 +537,14 @@ function setChannelStatus(channelId, status) {
     el.textContent = '\u2713';
   } else if (status === 'error') {
     el.textContent = '\u2717';
+  } else if (status === 'cancelled') {
+    el.textContent = '\u2013';
   } else {
     el.textContent = '';
   }
 }
 
-function showSummary(results) {
+function showSummary(results, cancelled = false, resumable = false) {
   const successes = results.filter(r => r.success);
   const failures = results.filter(r => !r.success);
   const totalMessages = successes.reduce((sum, r) => sum + (r.count || 0), 0);
@@ -377,10 +561,67 @@ function showSummary(results) {
     summarySection.className = 'summary-section has-errors';
   }
 
+  const filtered = window.SlackSnapFilters.sumCounts(results.map(r => r.filtered));
+  if (filtered) {
+    html += `<br>Filtered out: ${window.SlackSnapFilters.describeCounts(filtered)}`;
+  }
+
+  // One count per file, as its header gives it
+  const redacted = successes.filter(r => r.redactions && r.redactions.total > 0);
+  if (redacted.length > 0) {
+    const counts = redacted.map(r => `${r.channel} ${window.SlackSnapFormatters.formatRedactionSummary(r.redactions)}`);
+    html += `<br>Redacted: ${counts.join('; ')}`;
+  }
+
+  if (cancelled) {
+    html = `Cancelled. ${html}`;
+  }
+  if (resumable) {
+    html += '<br>Resume to retry the failed channels from where they stopped.';
+  }
+
   summarySection.innerHTML = html;
   summarySection.style.display = 'block';
 }
 
+// ── Workspaces ─────────────────────────────────────────────────────
+
+/**
+ * Ask the Slack tab which workspaces are signed in, and show the switcher
+ * when there's more than one
+ */
+async function loadWorkspaces() {
+  try {
+    const response = await chrome.tabs.sendMessage(activeTab.id, { action: 'GET_WORKSPACES' });
+    workspaces = (response && response.workspaces) || [];
+    selectedWorkspace = (response && response.activeId) || null;
+  } catch (error) {
+    // Content script not loaded yet: every channel is listed, exported with the tab's workspace
+    console.warn('Could not list workspaces:', error.message);
+    workspaces = [];
+  }
+
+  workspaceSelect.innerHTML = '';
+  for (const ws of workspaces) {
+    const option = document.createElement('option');
+    option.value = ws.id;
+    option.textContent = ws.enterpriseName ? `${ws.name} (${ws.enterpriseName})` : ws.name;
+    workspaceSelect.appendChild(option);
+  }
+  if (selectedWorkspace) workspaceSelect.value = selectedWorkspace;
+  workspaceBar.style.display = workspaces.length > 1 ? 'flex' : 'none';
+}
+
+/**
+ * Channels without a workspace show everywhere; a Grid org-level channel
+ * shows under every workspace in the org
+ */
+function isInSelectedWorkspace(ch) {
+  if (!ch.workspace || !selectedWorkspace) return true;
+  const ws = workspaces.find(w => w.id === selectedWorkspace);
+  return ch.workspace === selectedWorkspace || (!!ws && ch.workspace === ws.enterpriseId);
+}
+
 // ── Quick-add current channel ──────────────────────────────────────
 
 async function quickAddCurrentChannel() {
@@ -393,58 +634,125 @@ async function quickAddCurrentChannel() {
       action: 'GET_CURRENT_CHANNEL'
     });
 
-    if (response && response.channelId) {
-      // Check if already exists
-      const existing = channels.find(c => c.channelId === response.channelId);
-      if (existing) {
-        quickAddBtn.textContent = `Already added: ${existing.name}`;
-        setTimeout(() => {
-          quickAddBtn.textContent = '+ Add current channel';
-          quickAddBtn.disabled = false;
-        }, 2000);
-        return;
-      }
+    if (!response || !response.channelId) {
+      resetQuickAddButton('Could not detect channel');
+      return;
+    }
 
-      const newChannel = {
-        name: response.channelName || response.channelId,
-        channelId: response.channelId,
-        tier: 1,
-        type: 'channel',
-        enabled: true
-      };
+    const existing = channels.find(c =>
+      c.channelId === response.channelId && (!c.workspace || c.workspace === response.workspace)
+    );
+    if (existing) {
+      resetQuickAddButton(`Already added: ${existing.name}`);
+      return;
+    }
 
-      channels.push(newChannel);
-      await saveConfig({ channels });
+    quickAddDetected = response;
+    showQuickAddConfirm(response);
+  } catch (error) {
+    console.error('Quick-add failed:', error);
+    resetQuickAddButton('Error - try again');
+  }
+}
 
-      quickAddBtn.textContent = `Added: ${newChannel.name}`;
-      renderChannels();
-      updateExportButton();
+/**
+ * Show the detected conversation with a tier and type to confirm before
+ * saving, flagging ones that won't export
+ * @param {Object} detected - GET_CURRENT_CHANNEL response
+ */
+function showQuickAddConfirm(detected) {
+  quickAddNameEl.value = detected.channelName || detected.channelId;
+  quickAddTierEl.value = '1';
+  quickAddTypeEl.value = detected.type || 'channel';
+
+  const warnings = [];
+  if (!detected.accessible) {
+    warnings.push(`Slack won't show this conversation (${detected.error}), so exports will fail`);
+  } else if (detected.archived) {
+    warnings.push('This conversation is archived: there will be no new messages to export');
+  }
+  quickAddWarningEl.textContent = warnings.join('. ');
+  quickAddWarningEl.style.display = warnings.length > 0 ? 'block' : 'none';
 
-      setTimeout(() => {
-        quickAddBtn.textContent = '+ Add current channel';
-        quickAddBtn.disabled = false;
-      }, 2000);
-    } else {
-      quickAddBtn.textContent = 'Could not detect channel';
-      setTimeout(() => {
-        quickAddBtn.textContent = '+ Add current channel';
-        quickAddBtn.disabled = false;
-      }, 2000);
-    }
+  quickAddBtn.textContent = detected.kind === 'private' ? '🔒 Private channel detected' : 'Detected';
+  quickAddConfirmEl.style.display = 'block';
+}
+
+async function confirmQuickAdd() {
+  const detected = quickAddDetected;
+  if (!detected) return;
+
+  const newChannel = {
+    name: quickAddNameEl.value.trim() || detected.channelId,
+    channelId: detected.channelId,
+    workspace: detected.workspace || undefined,
+    tier: Number(quickAddTierEl.value),
+    type: quickAddTypeEl.value,
+    enabled: true
+  };
+
+  try {
+    await saveConfig({ channels: [...channels, newChannel] });
   } catch (error) {
-    console.error('Quick-add failed:', error);
-    quickAddBtn.textContent = 'Error - try again';
-    setTimeout(() => {
-      quickAddBtn.textContent = '+ Add current channel';
-      quickAddBtn.disabled = false;
-    }, 2000);
+    quickAddWarningEl.textContent = error.message;
+    quickAddWarningEl.style.display = 'block';
+    return;
   }
+  channels.push(newChannel);
+  renderChannels();
+  updateExportButton();
+
+  hideQuickAddConfirm();
+  resetQuickAddButton(`Added: ${newChannel.name}`);
+}
+
+function hideQuickAddConfirm() {
+  quickAddDetected = null;
+  quickAddConfirmEl.style.display = 'none';
+}
+
+/**
+ * Show a short outcome on the Quick-add button, then put it back
+ * @param {string} message - Outcome
+ */
+function resetQuickAddButton(message) {
+  quickAddBtn.textContent = message;
+  setTimeout(() => {
+    quickAddBtn.textContent = '+ Add current channel';
+    quickAddBtn.disabled = false;
+  }, 2000);
+}
+
+// ── Channel browser ────────────────────────────────────────────────
+
+function toggleChannelBrowser() {
+  const opening = browserSection.style.display === 'none';
+  browserSection.style.display = opening ? 'block' : 'none';
+  browseBtn.textContent = opening ? 'Close browser' : 'Browse channels';
+  if (!opening || channelBrowser) return;
+
+  channelBrowser = window.SlackSnapChannelBrowser.create(browserSection, {
+    getTabId: async () => activeTab.id,
+    workspace: selectedWorkspace,
+    getChannels: () => channels,
+    onAdd: addBrowsedChannels
+  });
+  channelBrowser.load();
+}
+
+async function addBrowsedChannels(newChannels) {
+  const existing = new Set(channels.map(ch => ch.channelId));
+  const updated = [...channels, ...newChannels.filter(ch => !existing.has(ch.channelId))];
+  await saveConfig({ channels: updated });
+  channels = updated;
+  renderChannels();
+  updateExportButton();
 }
 
 // ── Utility functions ──────────────────────────────────────────────
 
-function formatLastExported(channelId) {
-  const ts = lastExportTimestamps[channelId];
+function formatLastExported(ch) {
+  const ts = getChannelEntry(lastExportTimestamps, { ...ch, workspace: ch.workspace || selectedWorkspace });
   if (!ts) return 'never';
 
   const diff = Date.now() - ts;
@@ -459,24 +767,6 @@ function formatLastExported(channelId) {
   return `${days}d ago`;
 }
 
-function generateFilename(channelName) {
-  const now = new Date();
-  const yyyy = now.getFullYear();
-  const mm = String(now.getMonth() + 1).padStart(2, '0');
-  const dd = String(now.getDate()).padStart(2, '0');
-  const hh = String(now.getHours()).padStart(2, '0');
-  const min = String(now.getMinutes()).padStart(2, '0');
-  const dateStr = `${yyyy}${mm}${dd}-${hh}${min}`;
-  const cleanChannel = channelName.replace(/[^a-zA-Z0-9\-_]/g, '-').replace(/-+/g, '-').toLowerCase();
-
-  const fmt = (config.fileNameFormat || 'YYYYMMDD-HHmm-{channel}.md');
-  return fmt.replace('YYYYMMDD-HHmm', dateStr).replace('{channel}', cleanChannel);
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -485,7 +775,8 @@ function escapeHtml(text) {
 
 /**
  * Try to load personal channel config from channels.local.json.
- * Returns the parsed array if the file exists, or null to fall back to INITIAL_CHANNELS.
+ * Returns the channels if the file exists (repaired to fit the config schema,
+ * with a warning per problem), or null to fall back to INITIAL_CHANNELS.
  */
 async function loadLocalChannels() {
   try {
@@ -494,8 +785,13 @@ async function loadLocalChannels() {
     if (!response.ok) return null;
     const data = await response.json();
     if (Array.isArray(data) && data.length > 0) {
-      console.log(`Loaded ${data.length} channels from channels.local.json`);
-      return data;
+      const schema = window.SlackSnapConfigSchema;
+      schema.validateChannels(data).errors.forEach(error => {
+        console.warn(`⚠️ channels.local.json: ${schema.describeConfigError(error)}`);
+      });
+      const channels = schema.repairChannels(data);
+      console.log(`Loaded ${channels.length} channels from channels.local.json`);
+      return channels;
     }
     return null;
   } catch (e) {
@@ -0,0 +1,348 @@
+/**
+ * Local message archive for SlackSnap
+ *
+ * Keeps every exported message per channel in the extension's IndexedDB,
+ * keyed by Slack `ts`, together with the workspace, channel and user names
+ * seen at export time. Rolling exports merge each run into what is already
+ * there and re-emit one complete file per channel, and the archive page
+ * (archive.html) searches it offline.
+ *
+ * Only extension contexts (popup, options/archive pages, the background
+ * worker) open it: a content script would get slack.com's IndexedDB instead
+ * of ours, so content scripts hand messages to the background with
+ * ARCHIVE_MESSAGES.
+ */
+
+const ARCHIVE_DB_NAME = 'slacksnap-archive';
+const ARCHIVE_DB_VERSION = 2;
+const ARCHIVE_MESSAGE_STORE = 'messages';   // { channelId, ts, workspace, channelName, message, words }
+const ARCHIVE_CHANNEL_STORE = 'channels';   // { channelId, workspace, name, messageCount, lastArchivedAt, pseudonymized }
+const ARCHIVE_USER_STORE = 'users';         // { key: workspace:userId, workspace, id, name }
+
+let archiveDbPromise = null;
+
+/**
+ * Open (and create or upgrade) the archive database
+ * @returns {Promise<IDBDatabase>} Database handle, shared per page
+ */
+function openArchiveDatabase() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const transaction = request.transaction;
+
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(ARCHIVE_MESSAGE_STORE, { keyPath: ['channelId', 'ts'] });
+          store.createIndex('channelId', 'channelId');
+        }
+        if (event.oldVersion < 2) {
+          // Full-text index: every word of a message and its replies
+          const messages = transaction.objectStore(ARCHIVE_MESSAGE_STORE);
+          messages.createIndex('words', 'words', { multiEntry: true });
+          const channels = db.createObjectStore(ARCHIVE_CHANNEL_STORE, { keyPath: 'channelId' });
+          db.createObjectStore(ARCHIVE_USER_STORE, { keyPath: 'key' });
+
+          // Rolling-archive records from version 1 have no search words or
+          // names yet; the channel ID stands in until the next export
+          const counts = new Map();
+          messages.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) {
+              for (const [channelId, messageCount] of counts) {
+                channels.put({ channelId, workspace: '', name: channelId, messageCount, lastArchivedAt: Date.now() });
+              }
+              return;
+            }
+            const { channelId, message } = cursor.value;
+            counts.set(channelId, (counts.get(channelId) || 0) + 1);
+            cursor.update({ ...cursor.value, workspace: '', channelName: channelId, words: indexWords(message) });
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        archiveDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Archive transaction aborted'));
+  });
+}
+
+const byTimestamp = (a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp);
+
+/**
+ * Every archived message of a channel, oldest first
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<Array<Object>>} Enriched messages with their thread replies
+ */
+async function getArchivedMessages(channelId) {
+  const db = await openArchiveDatabase();
+  const transaction = db.transaction(ARCHIVE_MESSAGE_STORE, 'readonly');
+  const records = await requestToPromise(
+    transaction.objectStore(ARCHIVE_MESSAGE_STORE).index('channelId').getAll(channelId)
+  );
+  return records.map(record => record.message).sort(byTimestamp);
+}
+
+/**
+ * Timestamp of the oldest archived message that has thread replies, so a
+ * rolling export can look back far enough to catch late replies to it
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<string|null>} Slack ts, or null when no archived thread has replies
+ */
+async function getOldestArchivedThread(channelId) {
+  const messages = await getArchivedMessages(channelId);
+  const parent = messages.find(message => (message.threadReplies || []).length > 0);
+  return parent ? parent.timestamp : null;
+}
+
+/**
+ * Merge one export run into a channel's archive. Messages are matched on
+ * `timestamp` (Slack ts), so re-fetched messages replace their older copy
+ * (picking up edits and new reactions) and thread replies are unioned with
+ * the ones already stored. A reply that shows up on its own, such as one
+ * also sent to the channel, is filed under its parent when we have it.
+ * Late replies to older threads arrive with their parent: rolling exports
+ * re-scan back to the oldest archived thread (see getOldestArchivedThread).
+ *
+ * Names are baked into the messages (senders and mentions), so a channel
+ * archived with pseudonyms on only takes pseudonymised messages, and the
+ * other way round.
+ * @param {string} channelId - Slack channel ID
+ * @param {Array<Object>} messages - Enriched messages from exportChannelViaAPI
+ * @param {Object} meta - { workspace, channelName, users, pseudonymized } users maps user ID to name,
+ *   pseudonymized says whether the messages name people by pseudonym
+ * @returns {Promise<Object>} { messages (full archive, oldest first), added, updated }
+ * @throws {Error} When the messages and the archive disagree on pseudonyms
+ */
+async function mergeArchivedMessages(channelId, messages, meta = {}) {
+  const db = await openArchiveDatabase();
+  const transaction = db.transaction(
+    [ARCHIVE_MESSAGE_STORE, ARCHIVE_CHANNEL_STORE, ARCHIVE_USER_STORE], 'readwrite'
+  );
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(ARCHIVE_MESSAGE_STORE);
+
+  const records = await requestToPromise(store.index('channelId').getAll(channelId));
+  const previousChannel = await requestToPromise(transaction.objectStore(ARCHIVE_CHANNEL_STORE).get(channelId));
+  const pseudonymized = !!meta.pseudonymized;
+  // Channels archived before the flag was kept take whatever comes first
+  const archivedPseudonyms = previousChannel?.pseudonymized;
+  if (messages.length > 0 && records.length > 0 && archivedPseudonyms !== undefined && archivedPseudonyms !== pseudonymized) {
+    const channelName = previousChannel.name || channelId;
+    throw new Error(archivedPseudonyms
+      ? `The archive for ${channelName} uses pseudonyms: tick "Pseudonymise people" again to add to it`
+      : `The archive for ${channelName} has real names: untick "Pseudonymise people" to add to it`);
+  }
+
+  const archived = new Map(records.map(record => [record.ts, record.message]));
+  const changed = new Set();
+  let added = 0;
+  let updated = 0;
+
+  for (const message of messages) {
+    const previous = archived.get(message.timestamp);
+    const merged = {
+      ...message,
+      threadReplies: mergeThreadReplies(previous?.threadReplies, message.threadReplies)
+    };
+
+    if (!previous) {
+      added++;
+    } else if (JSON.stringify(previous) !== JSON.stringify(merged)) {
+      updated++;
+    } else {
+      continue;
+    }
+    archived.set(message.timestamp, merged);
+    changed.add(message.timestamp);
+  }
+
+  // Second pass so a parent fetched in the same run is already in place
+  for (const message of messages) {
+    const parent = message.threadTs && message.threadTs !== message.timestamp
+      ? archived.get(message.threadTs)
+      : null;
+    if (!parent) continue;
+
+    const { threadReplies, ...reply } = message;
+    const replies = mergeThreadReplies(parent.threadReplies, [reply]);
+    if (replies.length !== (parent.threadReplies || []).length) {
+      archived.set(parent.timestamp, { ...parent, threadReplies: replies });
+      changed.add(parent.timestamp);
+      updated++;
+    }
+  }
+
+  const workspace = meta.workspace || previousChannel?.workspace || '';
+  const channelName = meta.channelName || previousChannel?.name || channelId;
+
+  for (const ts of changed) {
+    const message = archived.get(ts);
+    store.put({ channelId, ts, workspace, channelName, message, words: indexWords(message) });
+  }
+
+  transaction.objectStore(ARCHIVE_CHANNEL_STORE).put({
+    channelId,
+    workspace,
+    name: channelName,
+    messageCount: archived.size,
+    lastArchivedAt: Date.now(),
+    pseudonymized: records.length > 0 && messages.length === 0 ? archivedPseudonyms : pseudonymized
+  });
+
+  const userStore = transaction.objectStore(ARCHIVE_USER_STORE);
+  for (const [id, name] of Object.entries(meta.users || {})) {
+    userStore.put({ key: `${workspace}:${id}`, workspace, id, name });
+  }
+  await done;
+
+  console.log(`🗄️ Archive for ${channelName}: ${added} added, ${updated} updated, ${archived.size} total`);
+  return { messages: Array.from(archived.values()).sort(byTimestamp), added, updated };
+}
+
+/**
+ * Union two reply lists by timestamp; the incoming copy wins
+ * @param {Array<Object>} existing - Replies already archived
+ * @param {Array<Object>} incoming - Replies from this run
+ * @returns {Array<Object>} Replies, oldest first
+ */
+function mergeThreadReplies(existing = [], incoming = []) {
+  const replies = new Map();
+  for (const reply of existing || []) replies.set(reply.timestamp, reply);
+  for (const reply of incoming || []) replies.set(reply.timestamp, reply);
+  return Array.from(replies.values()).sort(byTimestamp);
+}
+
+// ── Search ─────────────────────────────────────────────────────────
+
+/**
+ * Lower-case words of a text, as stored in the `words` index
+ * @param {string} text - Any text
+ * @returns {Array<string>} Words (may repeat)
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Search words for a message record: its text, sender and attachment names,
+ * plus the same for every thread reply, so a reply hit finds its thread
+ * @param {Object} message - Enriched message
+ * @returns {Array<string>} Unique words
+ */
+function indexWords(message) {
+  const words = new Set();
+  for (const item of [message, ...(message.threadReplies || [])]) {
+    for (const word of tokenize(messageSearchText(item))) words.add(word);
+  }
+  return Array.from(words);
+}
+
+function messageSearchText(message) {
+  const fileNames = (message.files || []).map(file => `${file.title} ${file.name}`).join(' ');
+  return `${message.content || ''} ${message.sender || ''} ${fileNames}`;
+}
+
+/**
+ * Archived channels, for the search page's channel filter
+ * @returns {Promise<Array<Object>>} { channelId, workspace, name, messageCount, lastArchivedAt }
+ */
+async function listArchivedChannels() {
+  const db = await openArchiveDatabase();
+  const transaction = db.transaction(ARCHIVE_CHANNEL_STORE, 'readonly');
+  const channels = await requestToPromise(transaction.objectStore(ARCHIVE_CHANNEL_STORE).getAll());
+  return channels.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Full-text search over the archive. Every query word must match the start
+ * of a word in the message (so "deploy" finds "deployment"); the author
+ * filter matches part of the sender name. Thread replies are matched on
+ * their own, so a hit can be a reply inside an older thread.
+ * @param {Object} query - { text, channelId, author, from, to } from/to are Unix ms bounds
+ * @param {number} limit - Maximum number of hits
+ * @returns {Promise<Object>} { hits: [{ channelId, channelName, workspace, message, parent }], truncated }
+ */
+async function searchArchive(query, limit = 500) {
+  const terms = Array.from(new Set(tokenize(query.text)));
+  const author = (query.author || '').trim().toLowerCase();
+  const from = query.from ? query.from / 1000 : null;
+  const to = query.to ? query.to / 1000 : null;
+
+  const db = await openArchiveDatabase();
+  const transaction = db.transaction(ARCHIVE_MESSAGE_STORE, 'readonly');
+  const store = transaction.objectStore(ARCHIVE_MESSAGE_STORE);
+
+  let records;
+  if (terms.length > 0) {
+    // Narrow with the index on the longest term, then check the rest below
+    const seed = terms.reduce((a, b) => (b.length > a.length ? b : a));
+    const range = IDBKeyRange.bound(seed, `${seed}\uffff`);
+    const candidates = await requestToPromise(store.index('words').getAll(range));
+    const unique = new Map(candidates.map(record => [`${record.channelId}:${record.ts}`, record]));
+    records = Array.from(unique.values());
+  } else if (query.channelId) {
+    records = await requestToPromise(store.index('channelId').getAll(query.channelId));
+  } else {
+    records = await requestToPromise(store.getAll());
+  }
+
+  const matches = (message) => {
+    const ts = parseFloat(message.timestamp);
+    if (from !== null && ts < from) return false;
+    if (to !== null && ts > to) return false;
+    if (author && !(message.sender || '').toLowerCase().includes(author)) return false;
+    if (terms.length === 0) return true;
+    const words = tokenize(messageSearchText(message));
+    return terms.every(term => words.some(word => word.startsWith(term)));
+  };
+
+  const hits = [];
+  for (const record of records) {
+    if (query.channelId && record.channelId !== query.channelId) continue;
+    const base = { channelId: record.channelId, channelName: record.channelName, workspace: record.workspace };
+
+    if (matches(record.message)) {
+      hits.push({ ...base, message: record.message, parent: null });
+    }
+    for (const reply of record.message.threadReplies || []) {
+      if (matches(reply)) hits.push({ ...base, message: reply, parent: record.message });
+    }
+  }
+
+  // Newest first, like Slack's own search
+  hits.sort((a, b) => byTimestamp(b.message, a.message));
+  return { hits: hits.slice(0, limit), truncated: hits.length > limit };
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapArchive = {
+    getArchivedMessages,
+    getOldestArchivedThread,
+    mergeArchivedMessages,
+    listArchivedChannels,
+    searchArchive
+  };
+}
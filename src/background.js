@@ -2,6 +2,15 @@
  * Background service worker for SlackSnap extension
  */
 
+// The shared scripts publish their APIs on `window`; in the worker that is
+// the global scope itself
+self.window = self;
+
+// Config, path helpers (sanitizeRelativePath, joinDownloadPath), formatters,
+// the pseudonym table and redaction (for rolling files), the local message
+// archive, batch export jobs and their schedules
+importScripts('config.js', 'utils.js', 'formatters.js', 'user-directory.js', 'redact.js', 'archive.js', 'batch.js', 'jobs.js', 'scheduler.js');
+
 /**
  * Handle extension icon click
  */
@@ -44,7 +53,7 @@ chrome.action.onClicked.addListener(async (tab) => {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['src/config.js', 'src/utils.js', 'src/content.js']
+          files: ['src/config.js', 'src/utils.js', 'src/markdown.js', 'src/formatters.js', 'src/slack-api.js', 'src/user-directory.js', 'src/redact.js', 'src/filters.js', 'src/content.js']
         });
         
         console.log('✅ Manual injection successful, retrying message...');
@@ -101,6 +110,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.action === 'ARCHIVE_MESSAGES') {
+    const { channelId, messages, ...meta } = message.data;
+    mergeArchivedMessages(channelId, messages, meta)
+      .then(({ added, updated }) => sendResponse({ success: true, added, updated }))
+      .catch(error => {
+        console.error('Archiving failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'JOB_START') {
+    startBatchJob(message.data)
+      .then(({ job }) => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'JOB_STATUS') {
+    getBatchJob().then(job => sendResponse({ job }));
+    return true;
+  }
+
+  if (message.action === 'JOB_PAUSE') {
+    pauseBatchJob().then(success => sendResponse({ success }));
+    return true;
+  }
+
+  if (message.action === 'JOB_RESUME') {
+    resumeBatchJob(message.data?.tabId)
+      .then(({ job }) => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'JOB_CANCEL') {
+    cancelBatchJob().then(success => sendResponse({ success }));
+    return true;
+  }
+
   if (message.action === 'CONTENT_SCRIPT_READY') {
     console.log('✅ Content script ready on tab:', sender.tab?.id);
     return;
@@ -117,36 +166,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function handleFileDownload(data) {
   try {
     console.log('📥 Starting background file download (fallback method)...');
-    const { filename, content, directory } = data;
+    const { filename, content, url, mimeType, directory, conflictAction } = data;
     console.log('Download details:', {
       filename,
       contentLength: content?.length,
       directory,
-      hasContent: !!content
+      hasContent: !!content,
+      hasUrl: !!url
     });
     
-    if (!content) {
+    if (!content && !url) {
       throw new Error('No content provided for download');
     }
     
-    // Convert content to data URL (works in service workers)
-    const dataUrl = 'data:text/markdown;charset=utf-8,' + encodeURIComponent(content);
+    // Convert content to data URL (works in service workers). Attachments
+    // arrive as a ready-made data URL, or a Slack URL for very large files.
+    const dataUrl = url || `data:${mimeType || 'text/markdown'};charset=utf-8,` + encodeURIComponent(content);
     console.log('📝 Created data URL');
     
-    // Ensure directory path is properly formatted
-    let downloadPath = filename;
-    if (directory && directory.trim()) {
-      // Clean directory name and ensure proper path format
-      const cleanDirectory = directory.trim().replace(/[\/\\]/g, '');
-      downloadPath = `${cleanDirectory}/${filename}`;
-    }
+    // Nested folders are fine; absolute paths and ".." are rejected here
+    // whatever the sender already checked
+    const downloadPath = joinDownloadPath(directory, filename);
     console.log('📂 Download path:', downloadPath);
     
     const downloadOptions = {
       url: dataUrl,
       filename: downloadPath,
       saveAs: false,
-      conflictAction: 'uniquify' // Auto-rename if file exists
+      conflictAction: conflictAction || 'uniquify' // Auto-rename if file exists
     };
     
     console.log('📤 Download options:', downloadOptions);
@@ -172,16 +219,11 @@ chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('SlackSnap extension installed');
     
-    // Set default configuration
-    chrome.storage.sync.set({
-      downloadDirectory: "slack-exports",
-      fileNameFormat: "YYYYMMDD-HHmm-{channel}.md",
-      includeTimestamps: true,
-      includeThreadReplies: true,
-      historyDays: 7,
-      channels: [],
-      lastExportTimestamps: {},
-      combinedExport: false
-    });
+    // Set default configuration, at the current schema version
+    saveConfig({ ...DEFAULT_CONFIG, configVersion: CONFIG_VERSION })
+      .catch(error => console.error('Failed to save default settings:', error));
   }
+
+  // Alarms don't always survive an update; re-create them from config
+  syncScheduleAlarms();
 }); 
\ No newline at end of file
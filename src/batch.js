@@ -0,0 +1,260 @@
+/**
+ * Batch export runner for the SlackSnap service worker
+ *
+ * Exports a list of channels one after another through a Slack tab's
+ * content script (BATCH_EXPORT_CHANNEL), then archives, downloads and
+ * bookkeeps each result. Runs inside a job (src/jobs.js), for both the
+ * popup and scheduled exports.
+ */
+
+/**
+ * Export channels in order; one failing channel doesn't stop the rest
+ * @param {number} tabId - Slack tab whose content script does the fetching
+ * @param {Array<Object>} channels - Channel configs ({ name, channelId, format, workspace, filters })
+ * @param {Object} options - { jobId, workspace, oldestTimestamp, latestTimestamp, combined, archive,
+ *   filters, onProgress, onChannelStatus, isStopped } jobId lets the content script checkpoint each
+ *   channel; workspace is used for channels that don't name their own (null: the tab's workspace);
+ *   filters apply to every channel, on top of a channel's own (see src/filters.js); an
+ *   explicit range (Unix ms) overrides each channel's watermark and leaves the watermarks alone;
+ *   onProgress(index, total, label) is called as channels start, onChannelStatus(channelId,
+ *   status, result) as each one starts and ends ('active', 'success', 'error', or 'stopped'
+ *   when a pause or cancel interrupted it), and isStopped() is checked before each channel
+ * @returns {Promise<Array<Object>>} Results: { channel, channelId, success, count, filtered, redactions, error }
+ *   filtered counts the messages each filter removed (null when no filters were on), and redactions
+ *   is the channel file's { total, byRule } (null when redaction was off)
+ */
+async function runBatchExport(tabId, channels, options = {}) {
+  const config = await getConfig();
+  const {
+    oldestTimestamp = null,
+    latestTimestamp = null,
+    onProgress = () => {},
+    onChannelStatus = () => {},
+    isStopped = () => false
+  } = options;
+  const hasCustomRange = oldestTimestamp !== null || latestTimestamp !== null;
+  const lastExportTimestamps = { ...(config.lastExportTimestamps || {}) };
+  const channelWatermarks = { ...(config.channelWatermarks || {}) };
+
+  const results = [];
+  const combinedSections = [];
+
+  for (let i = 0; i < channels.length; i++) {
+    if (isStopped()) break;
+
+    const channel = channels[i];
+    const workspace = channel.workspace || options.workspace || null;
+    // Keyed by the workspace it's exported from, so the same channel ID in two workspaces keeps two watermarks
+    const keyedChannel = { ...channel, workspace };
+    const channelKey = getChannelKey(keyedChannel);
+    onProgress(i, channels.length, channel.name);
+    onChannelStatus(channel.channelId, 'active');
+
+    try {
+      const watermark = hasCustomRange ? null : getChannelEntry(channelWatermarks, keyedChannel) || null;
+      // A rolling file holds every thread it has seen, so late replies to any of them belong in it
+      const threadRescanFrom = options.archive && watermark && config.includeThreadReplies
+        ? await getOldestArchivedThread(channel.channelId).catch(() => null)
+        : null;
+
+      const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'BATCH_EXPORT_CHANNEL',
+        channelId: channel.channelId,
+        channelName: channel.name,
+        // Channels exported before watermarks existed start from their last export time
+        oldestTimestamp: oldestTimestamp ?? (hasCustomRange ? null : getChannelEntry(lastExportTimestamps, keyedChannel) || null),
+        latestTimestamp,
+        watermark,
+        threadRescanFrom,
+        workspace,
+        format: channel.format || config.exportFormat,
+        archive: !!options.archive,
+        jobId: options.jobId,
+        filters: [options.filters, channel.filters].filter(Boolean)
+      });
+
+      if (response && response.stopped) {
+        onChannelStatus(channel.channelId, 'stopped');
+        break;
+      }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+
+      const redactions = await saveChannelExport(channel, response, config, !!options.archive);
+
+      if (options.combined && response.messageCount > 0) {
+        combinedSections.push({
+          channelName: channel.name,
+          channelId: channel.channelId,
+          messages: response.messages,
+          redactions: response.redactions,
+          timeZone: response.timeZone
+        });
+      }
+
+      if (!hasCustomRange) {
+        lastExportTimestamps[channelKey] = Date.now();
+        channelWatermarks[channelKey] = response.newestTs;
+        await saveConfig({ lastExportTimestamps, channelWatermarks });
+      }
+
+      results.push({
+        channel: channel.name,
+        channelId: channel.channelId,
+        success: true,
+        count: response.messageCount,
+        filtered: response.filtered || null,
+        redactions
+      });
+      onChannelStatus(channel.channelId, 'success', { count: response.messageCount });
+    } catch (error) {
+      console.error(`❌ Batch export failed for ${channel.name}:`, error);
+      results.push({ channel: channel.name, channelId: channel.channelId, success: false, error: error.message });
+      onChannelStatus(channel.channelId, 'error', { error: error.message });
+    }
+  }
+
+  // Combined file is always in the global format
+  if (combinedSections.length > 0) {
+    const formatter = window.SlackSnapFormatters.getFormatter(config.exportFormat);
+    try {
+      await handleFileDownload({
+        filename: window.SlackSnapUtils.generateFilename('combined', config, { extension: formatter.extension }),
+        content: formatter.renderCombined(combinedSections, {
+          exportedAt: new Date(),
+          redactions: sumRedactions(combinedSections.map(section => section.redactions))
+        }, { ...config, timeZone: combinedSections[0].timeZone ?? config.timeZone }),
+        mimeType: formatter.mimeType,
+        directory: config.downloadDirectory || 'slack-exports'
+      });
+    } catch (error) {
+      console.error('Failed to download combined file:', error);
+    }
+  }
+
+  onProgress(results.length, channels.length, isStopped() ? 'Stopped' : 'Done!');
+  return results;
+}
+
+/**
+ * Archive one channel's result and download its file: the export itself, or
+ * in rolling-archive mode the channel's complete archive
+ * @param {Object} channel - Channel config
+ * @param {Object} response - BATCH_EXPORT_CHANNEL result
+ * @param {Object} config - Configuration object
+ * @param {boolean} archiveMode - Whether to rewrite the rolling file
+ * @returns {Promise<Object|null>} Redaction counts of the file written, or null when redaction was off
+ */
+async function saveChannelExport(channel, response, config, archiveMode) {
+  let archived = null;
+  try {
+    archived = await mergeArchivedMessages(channel.channelId, response.messages, {
+      channelName: channel.name,
+      workspace: response.workspace,
+      users: response.users,
+      pseudonymized: !!config.pseudonymizeUsers
+    });
+  } catch (error) {
+    if (archiveMode) throw error;
+    console.warn(`⚠️ Could not archive messages for ${channel.name}:`, error);
+  }
+
+  // Pseudonymised exports come with the file that reverses them
+  if (response.mapping) {
+    const mapping = archiveMode ? await buildArchiveMapping(response.mapping, archived.messages) : response.mapping;
+    await handleFileDownload({
+      filename: mapping.filename,
+      content: mapping.content,
+      mimeType: 'application/json',
+      directory: response.directory,
+      conflictAction: archiveMode ? 'overwrite' : undefined
+    });
+  }
+
+  if (archiveMode) {
+    const messages = archived.messages;
+    if (messages.length === 0) return response.redactions || null;
+
+    // Messages archived before a rule or detector was switched on get it now, in the file and the archive
+    const swept = window.SlackSnapRedact.redactMessages(messages, config);
+    if (swept && swept.total > 0) {
+      await mergeArchivedMessages(channel.channelId, messages, { pseudonymized: !!config.pseudonymizeUsers });
+    }
+
+    const range = { oldest: Math.floor(parseFloat(messages[0].timestamp)), latest: response.range.latest };
+    const redactions = sumRedactions([response.redactions, swept]);
+    // In the zone the content script settled on, so "profile" means the same as in the export
+    const rendered = window.SlackSnapFormatters.renderExport(
+      response.format, messages, { channelName: channel.name, channelId: channel.channelId, range, redactions },
+      { ...config, timeZone: response.timeZone ?? config.timeZone }
+    );
+    await handleFileDownload({
+      filename: response.filename,
+      content: rendered.content,
+      mimeType: rendered.mimeType,
+      directory: response.directory,
+      conflictAction: 'overwrite'
+    });
+    return redactions;
+  } else if (response.messageCount > 0) {
+    await handleFileDownload({
+      filename: response.filename,
+      content: response.content,
+      mimeType: response.mimeType,
+      directory: response.directory
+    });
+  }
+  return response.redactions || null;
+}
+
+/**
+ * A rolling file's pseudonym mapping: everyone its whole archive names, not
+ * just the people in this run
+ * @param {Object} mapping - The run's mapping file { filename, content }
+ * @param {Array<Object>} messages - The channel's archived messages
+ * @returns {Promise<Object>} Mapping file { filename, content }
+ */
+async function buildArchiveMapping(mapping, messages) {
+  const { workspace } = JSON.parse(mapping.content);
+  const named = new Set();
+  const texts = [];
+  for (const message of messages) {
+    for (const msg of [message, ...(message.threadReplies || [])]) {
+      named.add(msg.sender);
+      for (const reaction of msg.reactions || []) {
+        for (const user of reaction.users || []) named.add(user);
+      }
+      texts.push(msg.content || '');
+    }
+  }
+  const text = texts.join('\n');
+  // "@Person A" is also the start of "@Person AB"
+  const mentioned = (pseudonym) => new RegExp(`@${pseudonym}(?![A-Z])`).test(text);
+
+  const people = (await window.SlackSnapUsers.getPseudonymTable(workspace))
+    .filter(person => named.has(person.pseudonym) || mentioned(person.pseudonym));
+  return {
+    filename: mapping.filename,
+    content: JSON.stringify({ workspace, generatedAt: new Date().toISOString(), people }, null, 2)
+  };
+}
+
+/**
+ * Add up the channels' redaction counts for the combined file
+ * @param {Array<Object|null>} counts - Each channel's { total, byRule }, null where redaction was off
+ * @returns {Object|null} Totals, or null when no channel was redacted
+ */
+function sumRedactions(counts) {
+  const present = counts.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const sum = { total: 0, byRule: {} };
+  for (const { total, byRule } of present) {
+    sum.total += total;
+    for (const [rule, count] of Object.entries(byRule)) {
+      sum.byRule[rule] = (sum.byRule[rule] || 0) + count;
+    }
+  }
+  return sum;
+}
@@ -0,0 +1,236 @@
+/**
+ * Channel browser for the SlackSnap popup and options page
+ *
+ * Lists the conversations of a Slack workspace (through the content script's
+ * LIST_CONVERSATIONS, so the requests use the Slack tab's session), with a
+ * search box and a type filter, and adds the ticked ones to the channel list
+ * with a tier. The page that opens it owns the channel list: it passes the
+ * current channels in and saves whatever onAdd hands back.
+ */
+
+const CONVERSATION_KINDS = {
+  public: { label: 'Public channels', icon: '# ' },
+  private: { label: 'Private channels', icon: '🔒 ' },
+  mpim: { label: 'Group DMs', icon: '👥 ' },
+  im: { label: 'DMs', icon: '💬 ' }
+};
+
+/**
+ * A Slack tab to list conversations through, for pages that aren't opened
+ * from one (the options page)
+ * @returns {Promise<Object|null>} Tab, or null when Slack isn't open
+ */
+async function findSlackTab() {
+  const tabs = await chrome.tabs.query({ url: '*://*.slack.com/*' });
+  return tabs.find(t => t.url && t.url.includes('app.slack.com/client')) || tabs[0] || null;
+}
+
+/**
+ * Build a channel browser in a container element
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} options - { getTabId, workspace, getChannels, onAdd } getTabId() resolves the
+ *   Slack tab to ask; workspace is the team or Grid org ID to list (null: the tab's workspace);
+ *   getChannels() returns the configured channels, so ones already added are marked; and
+ *   onAdd(newChannels) saves the channel configs picked
+ * @returns {Object} { load, setWorkspace } load() (re)fetches the list
+ */
+function createChannelBrowser(container, options) {
+  const { getTabId, getChannels, onAdd } = options;
+  let workspace = options.workspace || null;
+  let conversations = [];
+  let listedWorkspace = null;
+
+  container.innerHTML = '';
+  container.classList.add('channel-browser');
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'browser-toolbar';
+
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.className = 'browser-search';
+  searchInput.placeholder = 'Search conversations';
+
+  const kindSelect = document.createElement('select');
+  kindSelect.className = 'browser-kind';
+  kindSelect.appendChild(new Option('All types', ''));
+  for (const [kind, { label }] of Object.entries(CONVERSATION_KINDS)) {
+    kindSelect.appendChild(new Option(label, kind));
+  }
+
+  toolbar.append(searchInput, kindSelect);
+
+  const nonMemberLabel = document.createElement('label');
+  nonMemberLabel.className = 'browser-option';
+  const nonMemberCb = document.createElement('input');
+  nonMemberCb.type = 'checkbox';
+  nonMemberLabel.append(nonMemberCb, "Include public channels I'm not in");
+
+  const statusEl = document.createElement('div');
+  statusEl.className = 'browser-status';
+
+  const listEl = document.createElement('div');
+  listEl.className = 'browser-list';
+
+  const footer = document.createElement('div');
+  footer.className = 'browser-footer';
+  const tierSelect = document.createElement('select');
+  tierSelect.className = 'browser-tier';
+  [1, 2, 3].forEach(tier => tierSelect.appendChild(new Option(`Tier ${tier}`, String(tier))));
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'browser-add-btn';
+  footer.append(tierSelect, addBtn);
+
+  container.append(toolbar, nonMemberLabel, statusEl, listEl, footer);
+
+  searchInput.addEventListener('input', renderList);
+  kindSelect.addEventListener('change', renderList);
+  nonMemberCb.addEventListener('change', load);
+  listEl.addEventListener('change', updateAddButton);
+  addBtn.addEventListener('click', addSelected);
+
+  /**
+   * Fetch the workspace's conversations through the Slack tab
+   */
+  async function load() {
+    statusEl.textContent = 'Loading conversations...';
+    listEl.innerHTML = '';
+    updateAddButton();
+
+    try {
+      const tabId = await getTabId();
+      if (!tabId) throw new Error('Open Slack in a browser tab to browse its channels');
+
+      const response = await chrome.tabs.sendMessage(tabId, {
+        action: 'LIST_CONVERSATIONS',
+        workspace,
+        includeNonMember: nonMemberCb.checked
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the Slack tab');
+      }
+
+      conversations = response.conversations;
+      listedWorkspace = response.workspace || workspace;
+      renderList();
+    } catch (error) {
+      console.error('Failed to list conversations:', error);
+      conversations = [];
+      // A Slack tab opened before the extension was (re)loaded has no content script
+      statusEl.textContent = error.message.includes('Receiving end does not exist')
+        ? 'Reload the Slack tab, then try again'
+        : `Could not list conversations: ${error.message}`;
+    }
+  }
+
+  function renderList() {
+    const query = searchInput.value.trim().toLowerCase();
+    const kind = kindSelect.value;
+    const added = new Set(getChannels().map(ch => ch.channelId));
+    const matches = conversations.filter(conv =>
+      (!kind || conv.kind === kind) && (!query || conv.name.toLowerCase().includes(query) || conv.id.toLowerCase() === query)
+    );
+
+    listEl.innerHTML = '';
+    for (const conv of matches) {
+      const row = document.createElement('label');
+      row.className = 'browser-row';
+      if (added.has(conv.id)) row.classList.add('added');
+
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = conv.id;
+      cb.disabled = added.has(conv.id);
+
+      const name = document.createElement('span');
+      name.className = 'browser-name';
+      name.textContent = `${CONVERSATION_KINDS[conv.kind].icon}${conv.name}`;
+      name.title = conv.id;
+
+      const meta = document.createElement('span');
+      meta.className = 'browser-meta';
+      meta.textContent = added.has(conv.id) ? 'added' : describeConversation(conv);
+
+      row.append(cb, name, meta);
+      listEl.appendChild(row);
+    }
+
+    statusEl.textContent = matches.length === conversations.length
+      ? `${conversations.length} conversations`
+      : `${matches.length} of ${conversations.length} conversations`;
+    updateAddButton();
+  }
+
+  function getTicked() {
+    const ids = new Set(Array.from(listEl.querySelectorAll('input:checked'), cb => cb.value));
+    return conversations.filter(conv => ids.has(conv.id));
+  }
+
+  function updateAddButton() {
+    const count = getTicked().length;
+    addBtn.textContent = `Add selected (${count})`;
+    addBtn.disabled = count === 0;
+  }
+
+  async function addSelected() {
+    const tier = Number(tierSelect.value);
+    const newChannels = getTicked().map(conv => ({
+      name: conv.name,
+      channelId: conv.id,
+      workspace: listedWorkspace || undefined,
+      tier,
+      type: conv.type,
+      enabled: true
+    }));
+
+    addBtn.disabled = true;
+    try {
+      await onAdd(newChannels);
+      statusEl.textContent = `Added ${newChannels.length} to tier ${tier}`;
+    } catch (error) {
+      console.error('Failed to add channels:', error);
+      statusEl.textContent = `Could not add channels: ${error.message}`;
+    }
+    renderList();
+  }
+
+  return {
+    load,
+    setWorkspace(id) {
+      workspace = id || null;
+      return load();
+    }
+  };
+}
+
+/**
+ * "42 members · 3d ago", leaving out whatever Slack didn't tell us
+ * @param {Object} conv - Conversation from LIST_CONVERSATIONS
+ * @returns {string} Description
+ */
+function describeConversation(conv) {
+  const parts = [];
+  if (conv.memberCount) parts.push(`${conv.memberCount} member${conv.memberCount === 1 ? '' : 's'}`);
+  if (conv.lastActivity) parts.push(formatActivityAge(conv.lastActivity));
+  if (!conv.isMember) parts.push('not joined');
+  return parts.join(' · ');
+}
+
+function formatActivityAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 60) return minutes < 1 ? 'just now' : `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 60) return `${days}d ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapChannelBrowser = {
+    create: createChannelBrowser,
+    findSlackTab
+  };
+}
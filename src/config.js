@@ -5,13 +5,51 @@ const DEFAULT_CONFIG = {
   downloadDirectory: "slack-exports",
   fileNameFormat: "YYYYMMDD-HHmm-{channel}.md",
   includeTimestamps: true,
+  timeZone: "",              // Zone for timestamps: "" the browser's, "profile" your Slack profile's, or an IANA name like "Europe/London"
+  timeFormat: "12h",         // "12h", "24h" or "iso" (ISO-8601 with the UTC offset)
+  relativeDayLabels: false,  // "Today" and "Yesterday" instead of the date for recent messages
   includeThreadReplies: true,
+  downloadAttachments: false, // Save message files into an attachments/ folder
+  exportFormat: "markdown",   // Output format id (see src/formatters.js)
   historyDays: 7,
+  rangeStart: "",            // Optional fixed export window (YYYY-MM-DD, inclusive)
+  rangeEnd: "",
+  hiddenSubtypes: [],        // System message subtypes to leave out (see SYSTEM_MESSAGE_SUBTYPES)
+  userDirectoryTtlHours: 168, // How long a cached user is trusted before Slack is asked again (see src/user-directory.js)
+  nameDisplay: "real",       // How people are named: "real" name, "display" name or @"handle"
+  pseudonymizeUsers: false,  // Replace people with stable pseudonyms ("Person A") and write a mapping file
+  redactionDetectors: [],    // Built-in redaction detectors to run (see REDACTION_DETECTORS in src/redact.js)
+  redactionRules: [],        // Custom redactions: [{ label, pattern, flags }]
 
   // Batch export configuration
   channels: [],              // Array of channel config objects
-  lastExportTimestamps: {},  // { channelId: unixTimestamp }
-  combinedExport: false      // Whether to also produce a combined file
+  lastExportTimestamps: {},  // { channelKey: unixTimestamp } when each channel was last exported (see getChannelKey)
+  channelWatermarks: {},     // { channelKey: Slack ts } newest message exported; the next export starts here
+  watermarkOverlapMinutes: 5, // Look back this far past the watermark for edits and late replies
+  threadRescanDays: 0,       // Also look back this many days for new replies on older threads (0 = off)
+  combinedExport: false,     // Whether to also produce a combined file
+  archiveMode: false,        // Merge batch exports into one rolling file per channel (see src/archive.js)
+  archiveFileNameFormat: "archive/{channel}.md",
+  schedules: []              // Automatic batch exports (see src/scheduler.js)
+};
+
+/**
+ * System message subtypes and their labels in the options page. Each one can
+ * be kept (rendered as a one-line notice) or hidden via `hiddenSubtypes`.
+ */
+const SYSTEM_MESSAGE_SUBTYPES = {
+  channel_join: "Member joined",
+  channel_leave: "Member left",
+  channel_topic: "Topic changed",
+  channel_purpose: "Description changed",
+  channel_name: "Channel renamed",
+  channel_archive: "Channel archived",
+  channel_unarchive: "Channel unarchived",
+  pinned_item: "Item pinned",
+  unpinned_item: "Item unpinned",
+  bot_add: "Integration added",
+  bot_remove: "Integration removed",
+  reminder_add: "Reminder added"
 };
 
 /**
@@ -24,6 +62,11 @@ const DEFAULT_CONFIG = {
  *
  * Channel IDs can be found in the Slack URL when viewing a channel
  * (e.g. the "C0123456789" segment), or by using the Quick-add button in the popup.
+ *
+ * If you're signed into several workspaces, add `workspace` with the team ID
+ * (the "T0123456789" segment of the URL) so the channel is exported with that
+ * workspace's session; for Enterprise Grid org-level channels use the org's
+ * "E..." ID. Channels without one use the workspace open in the Slack tab.
  */
 const INITIAL_CHANNELS = [
   // Tier 1 — High priority
@@ -41,13 +84,409 @@ const INITIAL_CHANNELS = [
 ];
 
 /**
- * Get configuration from Chrome storage, fallback to defaults
+ * Key for a channel's entries in lastExportTimestamps and channelWatermarks:
+ * "<workspace>:<channelId>", or just the channel ID when the workspace isn't
+ * known (which is also how entries were keyed before workspaces)
+ * @param {Object} channel - Channel config ({ channelId, workspace }); pass the workspace
+ *   the export runs in for channels that don't name their own
+ * @returns {string} Key
+ */
+function getChannelKey(channel) {
+  return channel.workspace ? `${channel.workspace}:${channel.channelId}` : channel.channelId;
+}
+
+/**
+ * A channel's entry in lastExportTimestamps or channelWatermarks, falling
+ * back to a legacy entry under the bare channel ID
+ * @param {Object} entries - Map keyed by getChannelKey()
+ * @param {Object} channel - Channel config ({ channelId, workspace }), with workspace
+ *   set to the one the export runs in
+ * @returns {*} The entry, or undefined
+ */
+function getChannelEntry(entries, channel) {
+  return entries[getChannelKey(channel)] ?? entries[channel.channelId];
+}
+
+// ── Schema ─────────────────────────────────────────────────────────
+
+/**
+ * Version of the stored settings shape. Bump it when the shape changes and
+ * add a migration to CONFIG_MIGRATIONS; getConfig() runs the missing ones on
+ * whatever it reads and writes the result back.
+ */
+const CONFIG_VERSION = 2;
+
+const CHANNEL_TYPES = ["channel", "dm", "group"];
+const CHANNEL_TIERS = [1, 2, 3];
+const NAME_DISPLAY_OPTIONS = ["real", "display", "handle"];
+const TIME_FORMAT_OPTIONS = ["12h", "24h", "iso"];
+const CHANNEL_ID_PATTERN = /^[CDG][A-Z0-9]{2,}$/;
+const WORKSPACE_ID_PATTERN = /^[TE][A-Z0-9]+$/;
+const DATE_SETTING_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A message filter's text entry in slashes is a regular expression: /deploy(ed)?/i
+const TEXT_PATTERN_SYNTAX = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Message filter fields (a channel's `filters`, or a batch export's) and
+ * the kind of value each takes. See src/filters.js.
+ */
+const MESSAGE_FILTER_FIELDS = {
+  onlyUsers: "list",     // User IDs, @handles or names: keep only their messages
+  exceptUsers: "list",   // ... leave out their messages
+  includeText: "list",   // Words, or /regex/flags: keep only messages matching one
+  excludeText: "list",   // ... leave out messages matching any
+  skipBots: "boolean",
+  skipSystem: "boolean",
+  minReplies: "count",   // Keep only threads with at least this many replies
+  reaction: "string",    // Keep only messages with this reaction (e.g. "white_check_mark")
+  mentionsMe: "boolean"  // Keep only messages that @mention you
+};
+
+/**
+ * Checks for settings beyond "same type as the default". Each returns an
+ * error message, or null when the value is fine.
+ */
+const CONFIG_FIELD_RULES = {
+  historyDays: value => Number.isInteger(value) && value >= 1 ? null : "must be a whole number of days, at least 1",
+  watermarkOverlapMinutes: value => Number.isInteger(value) && value >= 0 ? null : "must be a whole number of minutes, 0 or more",
+  threadRescanDays: value => Number.isInteger(value) && value >= 0 ? null : "must be a whole number of days, 0 or more",
+  userDirectoryTtlHours: value => Number.isInteger(value) && value >= 0 ? null : "must be a whole number of hours, 0 or more",
+  nameDisplay: value => NAME_DISPLAY_OPTIONS.includes(value) ? null : `must be one of ${NAME_DISPLAY_OPTIONS.join(", ")}`,
+  timeFormat: value => TIME_FORMAT_OPTIONS.includes(value) ? null : `must be one of ${TIME_FORMAT_OPTIONS.join(", ")}`,
+  timeZone: (value) => {
+    if (value === "" || value === "profile") return null;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: value });
+      return null;
+    } catch (error) {
+      return `must be an IANA time zone like "Europe/London", "profile" or empty`;
+    }
+  },
+  rangeStart: value => value === "" || DATE_SETTING_PATTERN.test(value) ? null : "must be a YYYY-MM-DD date",
+  rangeEnd: value => value === "" || DATE_SETTING_PATTERN.test(value) ? null : "must be a YYYY-MM-DD date",
+  redactionDetectors: (value) => {
+    // Like the formatter registry, the detectors aren't loaded everywhere
+    const redact = typeof window !== 'undefined' && window.SlackSnapRedact;
+    const unknown = redact ? value.filter(id => !(id in redact.REDACTION_DETECTORS)) : [];
+    return unknown.length === 0 ? null : `has unknown detectors: ${unknown.join(", ")}`;
+  },
+  redactionRules: (value) => {
+    for (const [index, rule] of value.entries()) {
+      const problem = describeRedactionRuleError(rule);
+      if (problem) return `rule ${index + 1} ${problem}`;
+    }
+    return null;
+  },
+  exportFormat: (value) => {
+    // The formatter registry isn't loaded everywhere config.js is
+    const formatters = typeof window !== 'undefined' && window.SlackSnapFormatters;
+    if (!formatters || formatters.listFormatters().some(f => f.id === value)) return null;
+    return `must be one of ${formatters.listFormatters().map(f => f.id).join(", ")}`;
+  }
+};
+
+/**
+ * What's wrong with a custom redaction rule, if anything
+ * @param {Object} rule - { label, pattern, flags }
+ * @returns {string|null} Problem, e.g. 'matches empty text'
+ */
+function describeRedactionRuleError(rule) {
+  if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) return "needs a pattern";
+  if (typeof rule.label !== 'string') return "needs a label";
+  if (rule.flags !== undefined && !/^[gimsuy]*$/.test(rule.flags)) return `has unknown flags "${rule.flags}"`;
+
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, rule.flags || '');
+  } catch (error) {
+    return `isn't a valid regular expression (${error.message})`;
+  }
+  // It would insert its label between every character
+  return regex.test('') ? "matches empty text" : null;
+}
+
+/**
+ * What's wrong with a set of message filters, if anything
+ * @param {Object} filters - Filter set (see MESSAGE_FILTER_FIELDS)
+ * @returns {string|null} Problem, e.g. 'minReplies must be a whole number, 0 or more'
+ */
+function describeMessageFilterError(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return "must be an object like { onlyUsers, excludeText, minReplies }";
+  }
+
+  for (const [field, value] of Object.entries(filters)) {
+    const kind = MESSAGE_FILTER_FIELDS[field];
+    if (!kind) return `has an unknown filter "${field}"`;
+    if (kind === "boolean" && typeof value !== 'boolean') return `${field} must be true or false`;
+    if (kind === "string" && typeof value !== 'string') return `${field} must be a string`;
+    if (kind === "count" && !(Number.isInteger(value) && value >= 0)) return `${field} must be a whole number, 0 or more`;
+    if (kind === "list") {
+      if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) return `${field} must be a list of strings`;
+      for (const entry of value) {
+        const match = entry.match(TEXT_PATTERN_SYNTAX);
+        if (!match) continue;
+        try {
+          new RegExp(match[1], match[2]);
+        } catch (error) {
+          return `${field} has an invalid regular expression ${entry} (${error.message})`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Migrations from the previous version, keyed by the version they produce.
+ * Each gets the stored settings and returns the keys it changed.
+ */
+const CONFIG_MIGRATIONS = {
+  // Settings saved before the schema existed may hold channels the popup
+  // can't render: duplicate or pasted-URL IDs, string tiers, unknown types
+  2: config => ({ channels: repairChannels(config.channels) })
+};
+
+/**
+ * Thrown by saveConfig() when settings don't match the schema
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors - { field, message, index, name } index and name are set for
+   *   channel errors
+   */
+  constructor(errors) {
+    super(errors.map(describeConfigError).join("; "));
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Pull a conversation ID out of what was pasted: the ID itself, or a Slack
+ * URL with one in it (…/archives/C0123456789, …/client/T…/C0123456789)
+ * @param {*} value - Pasted value
+ * @returns {*} The ID, or the value unchanged when there's no ID in it
+ */
+function normalizeChannelId(value) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (CHANNEL_ID_PATTERN.test(trimmed.toUpperCase())) return trimmed.toUpperCase();
+  const match = trimmed.match(/\/(?:archives|messages|client\/[TE][A-Z0-9]+)\/([CDG][A-Z0-9]+)/i);
+  return match ? match[1].toUpperCase() : trimmed;
+}
+
+/**
+ * Check a channel list, tidying what can be tidied without guessing (IDs
+ * from URLs, numeric-string tiers, a missing type or enabled flag)
+ * @param {*} channels - Channel list, as stored or pasted
+ * @returns {Object} { channels, errors } the tidied list, and { index, name, field, message } per
+ *   problem (name is the channel's, for messages)
+ */
+function validateChannels(channels) {
+  if (!Array.isArray(channels)) {
+    return { channels: [], errors: [{ field: 'channels', message: "must be a list of channels" }] };
+  }
+
+  const errors = [];
+  const seen = new Map(); // channelId → index
+  const normalized = channels.map((input, index) => {
+    const fail = (field, message) => errors.push({ index, field, message, name: input?.name });
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      fail('channel', "must be an object like { name, channelId, tier, type }");
+      return input;
+    }
+
+    const ch = { ...input };
+    if (typeof ch.name !== 'string' || !ch.name.trim()) {
+      fail('name', "is required");
+    }
+
+    ch.channelId = normalizeChannelId(ch.channelId ?? "");
+    if (typeof ch.channelId !== 'string') {
+      fail('channelId', "must be a string");
+    } else if (ch.channelId && !CHANNEL_ID_PATTERN.test(ch.channelId)) {
+      fail('channelId', `"${ch.channelId}" isn't a Slack conversation ID (C…, G… or D…)`);
+    } else if (ch.channelId && seen.has(ch.channelId)) {
+      fail('channelId', `${ch.channelId} is already channel ${seen.get(ch.channelId) + 1}`);
+    } else if (ch.channelId) {
+      seen.set(ch.channelId, index);
+    }
+
+    ch.tier = ch.tier === undefined ? 1 : Number(ch.tier);
+    if (!CHANNEL_TIERS.includes(ch.tier)) {
+      ch.tier = input.tier;
+      fail('tier', "must be 1, 2 or 3");
+    }
+
+    if (ch.type === undefined) {
+      ch.type = typeof ch.channelId === 'string' && ch.channelId.startsWith('D') ? "dm" : "channel";
+    } else if (!CHANNEL_TYPES.includes(ch.type)) {
+      fail('type', `must be ${CHANNEL_TYPES.join(", ")}`);
+    } else if (ch.type !== "dm" && typeof ch.channelId === 'string' && ch.channelId.startsWith('D')) {
+      fail('type', "must be dm for a D… ID");
+    }
+
+    if (ch.enabled === undefined) {
+      ch.enabled = true;
+    } else if (typeof ch.enabled !== 'boolean') {
+      fail('enabled', "must be true or false");
+    }
+
+    if (ch.workspace !== undefined) {
+      ch.workspace = typeof ch.workspace === 'string' ? ch.workspace.trim().toUpperCase() : ch.workspace;
+      if (!WORKSPACE_ID_PATTERN.test(ch.workspace)) {
+        fail('workspace', "must be a team ID (T…) or Enterprise Grid org ID (E…)");
+      }
+    }
+
+    if (ch.outputFolder !== undefined && typeof window !== 'undefined' && window.SlackSnapUtils) {
+      try {
+        ch.outputFolder = window.SlackSnapUtils.sanitizeRelativePath(ch.outputFolder);
+        if (!ch.outputFolder) delete ch.outputFolder;
+      } catch (error) {
+        fail('outputFolder', error.message);
+      }
+    }
+
+    if (ch.format !== undefined && CONFIG_FIELD_RULES.exportFormat(ch.format)) {
+      fail('format', CONFIG_FIELD_RULES.exportFormat(ch.format));
+    }
+
+    if (ch.filters !== undefined && describeMessageFilterError(ch.filters)) {
+      fail('filters', describeMessageFilterError(ch.filters));
+    }
+
+    return ch;
+  });
+
+  return { channels: normalized, errors };
+}
+
+/**
+ * Make a stored channel list valid, keeping as much as possible: a bad
+ * field falls back to its default, and only duplicate IDs (after the first)
+ * and entries that aren't channels at all are dropped
+ * @param {*} channels - Stored channel list
+ * @returns {Array<Object>} Valid channel list
+ */
+function repairChannels(channels) {
+  const { channels: normalized, errors } = validateChannels(channels || []);
+  const dropped = new Set();
+
+  for (const { index, field, message } of errors) {
+    if (index === undefined) continue;
+    const ch = normalized[index];
+    if (field === 'channel' || (field === 'channelId' && message.includes('already'))) {
+      dropped.add(index);
+    } else if (field === 'name') {
+      ch.name = ch.channelId || "Unnamed channel";
+    } else if (field === 'channelId') {
+      ch.channelId = "";
+    } else if (field === 'tier') {
+      ch.tier = 1;
+    } else if (field === 'type') {
+      ch.type = String(ch.channelId).startsWith('D') ? "dm" : "channel";
+    } else if (field === 'enabled') {
+      ch.enabled = ch.enabled !== false && ch.enabled !== "false";
+    } else {
+      delete ch[field];
+    }
+    console.warn(`⚠️ Repaired channel ${index + 1} (${field} ${message})`);
+  }
+
+  return normalized.filter((ch, index) => !dropped.has(index));
+}
+
+/**
+ * Check settings against the schema: every known setting must have its
+ * default's type and pass its CONFIG_FIELD_RULES check, and channels must
+ * pass validateChannels(). Keys that aren't given aren't checked.
+ * @param {Object} config - Full or partial settings
+ * @returns {Object} { config, errors } the settings with channels tidied, and one error per problem
+ *   (see ConfigValidationError)
+ */
+function validateConfig(config) {
+  const errors = [];
+  const normalized = { ...config };
+
+  for (const [field, value] of Object.entries(config)) {
+    if (field === 'channels') {
+      const result = validateChannels(value);
+      normalized.channels = result.channels;
+      errors.push(...result.errors);
+      continue;
+    }
+    if (!(field in DEFAULT_CONFIG)) continue;
+
+    const expected = Array.isArray(DEFAULT_CONFIG[field]) ? 'array' : typeof DEFAULT_CONFIG[field];
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== expected) {
+      errors.push({ field, message: `must be a${expected === 'array' || expected === 'object' ? 'n' : ''} ${expected}` });
+      continue;
+    }
+
+    const message = CONFIG_FIELD_RULES[field] && CONFIG_FIELD_RULES[field](value);
+    if (message) errors.push({ field, message });
+  }
+
+  return { config: normalized, errors };
+}
+
+/**
+ * One line for a validation error, e.g. 'Channel 3 ("alerts"): tier must be 1, 2 or 3'
+ * @param {Object} error - { field, message, index, name }
+ * @returns {string} Description
+ */
+function describeConfigError(error) {
+  if (error.index === undefined) return `${error.field} ${error.message}`;
+  const label = error.name ? `Channel ${error.index + 1} ("${error.name}")` : `Channel ${error.index + 1}`;
+  return error.field === 'channel' ? `${label} ${error.message}` : `${label}: ${error.field} ${error.message}`;
+}
+
+/**
+ * Bring stored settings up to CONFIG_VERSION, saving the migrated keys
+ * @param {Object} stored - Everything in chrome.storage.sync
+ * @returns {Promise<Object>} Migrated settings
+ */
+async function migrateConfig(stored) {
+  const from = stored.configVersion || 1;
+  if (from >= CONFIG_VERSION) return stored;
+
+  const { config, changes } = applyConfigMigrations(stored, from);
+  await chrome.storage.sync.set(changes);
+  console.log(`🔧 Migrated settings from version ${from} to ${CONFIG_VERSION}`);
+  return config;
+}
+
+/**
+ * Run the migrations from one schema version up to CONFIG_VERSION, without
+ * saving anything (settings profiles use this too)
+ * @param {Object} config - Settings at version `from`
+ * @param {number} from - Their schema version
+ * @returns {Object} { config, changes } the migrated settings, and just the keys that changed
+ */
+function applyConfigMigrations(config, from) {
+  const changes = { configVersion: CONFIG_VERSION };
+  for (let version = from + 1; version <= CONFIG_VERSION; version++) {
+    const migrated = CONFIG_MIGRATIONS[version](config);
+    Object.assign(changes, migrated);
+    config = { ...config, ...migrated };
+  }
+  return { config: { ...config, configVersion: CONFIG_VERSION }, changes };
+}
+
+// ── Storage ────────────────────────────────────────────────────────
+
+/**
+ * Get configuration from Chrome storage, migrated to the current schema,
+ * with defaults for anything not set
  * @returns {Promise<Object>} Configuration object
  */
 async function getConfig() {
   try {
-    const result = await chrome.storage.sync.get(DEFAULT_CONFIG);
-    return { ...DEFAULT_CONFIG, ...result };
+    const stored = await migrateConfig(await chrome.storage.sync.get(null));
+    return { ...DEFAULT_CONFIG, ...stored };
   } catch (error) {
     console.error('Failed to load config:', error);
     return DEFAULT_CONFIG;
@@ -55,13 +494,20 @@ async function getConfig() {
 }
 
 /**
- * Save configuration to Chrome storage
- * @param {Object} config - Configuration object to save
+ * Save configuration to Chrome storage, after checking it against the schema
+ * (channels are saved tidied, see validateChannels)
+ * @param {Object} config - Configuration object to save (only the keys to change)
  * @returns {Promise<void>}
+ * @throws {ConfigValidationError} When a setting is invalid; nothing is saved
  */
 async function saveConfig(config) {
+  const { config: normalized, errors } = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
   try {
-    await chrome.storage.sync.set(config);
+    await chrome.storage.sync.set(normalized);
   } catch (error) {
     console.error('Failed to save config:', error);
     throw error;
@@ -72,6 +518,20 @@ async function saveConfig(config) {
 if (typeof window !== 'undefined') {
   window.getConfig = getConfig;
   window.saveConfig = saveConfig;
+  window.getChannelKey = getChannelKey;
+  window.getChannelEntry = getChannelEntry;
+  window.SlackSnapConfigSchema = {
+    CONFIG_VERSION,
+    ConfigValidationError,
+    validateConfig,
+    validateChannels,
+    repairChannels,
+    applyConfigMigrations,
+    describeConfigError,
+    describeMessageFilterError,
+    normalizeChannelId
+  };
   window.DEFAULT_CONFIG = DEFAULT_CONFIG;
   window.INITIAL_CHANNELS = INITIAL_CHANNELS;
+  window.SYSTEM_MESSAGE_SUBTYPES = SYSTEM_MESSAGE_SUBTYPES;
 } 
\ No newline at end of file
@@ -3,6 +3,9 @@
  * Uses Slack's API for reliable message and user data extraction
  */
 
+// Batch jobs (src/jobs.js) that asked for their channel export to stop
+const stoppedJobs = new Set();
+
 /**
  * Message listener for background script commands
  */
@@ -50,18 +53,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === 'BATCH_EXPORT_CHANNEL') {
     console.log('📦 Batch export request for channel:', message.channelName);
-    const { channelId, channelName, oldestTimestamp } = message;
-    exportChannelViaAPI(channelId, channelName, oldestTimestamp)
+    const {
+      channelId, channelName, oldestTimestamp, latestTimestamp, watermark, threadRescanFrom, format, archive, jobId, workspace, filters
+    } = message;
+    stoppedJobs.delete(jobId);
+    exportChannelViaAPI(channelId, channelName, oldestTimestamp, {
+      format, latestTimestamp, watermark, threadRescanFrom, archive, jobId, workspace, filters
+    })
       .then(result => sendResponse({ success: true, ...result }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+      .catch(error => sendResponse({ success: false, error: error.message, stopped: !!error.stopped }));
     return true; // async response
   }
 
+  if (message.action === 'STOP_CHANNEL_EXPORT') {
+    // Pause or cancel: the running export stops at its next page or thread
+    stoppedJobs.add(message.jobId);
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (message.action === 'PING') {
+    // Lets the background wait for this script before a scheduled export
+    sendResponse({ ready: true });
+    return;
+  }
+
   if (message.action === 'GET_CURRENT_CHANNEL') {
     // Used by the popup's "Quick-add current channel" feature
-    const channelId = getCurrentChannelId();
-    const channelName = window.SlackSnapUtils ? window.SlackSnapUtils.extractChannelName() : null;
-    sendResponse({ channelId, channelName });
+    describeCurrentConversation()
+      .then(sendResponse)
+      .catch(error => sendResponse({ channelId: null, error: error.message }));
+    return true; // async response
+  }
+
+  if (message.action === 'LIST_CONVERSATIONS') {
+    // The channel browser in the popup and options page
+    listConversations({ workspace: message.workspace, includeNonMember: message.includeNonMember })
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // async response
+  }
+
+  if (message.action === 'GET_WORKSPACES') {
+    // The popup's workspace switcher
+    try {
+      sendResponse(listSlackWorkspaces());
+    } catch (error) {
+      sendResponse({ workspaces: [], activeId: null, error: error.message });
+    }
     return;
   }
   
@@ -145,8 +184,9 @@ async function exportMessages() {
       console.log(`✅ Finished scrolling: ${finalCount} total messages (${finalCount - initialCount} loaded)`);
     }
     
-    // Extract messages from DOM
-    const messages = extractVisibleMessages();
+    // Extract messages from DOM; Slack shows their times in the zone from your profile
+    const slackTimeZone = await getProfileTimeZone(null, config);
+    const messages = extractVisibleMessages(slackTimeZone);
     
     if (messages.length === 0) {
       if (typeof window.SlackSnapUtils !== 'undefined') {
@@ -156,6 +196,10 @@ async function exportMessages() {
     }
     
     console.log(`📊 Successfully extracted ${messages.length} messages for export`);
+    await nameSendersFromDirectory(messages, config);
+    const pseudonymized = config.pseudonymizeUsers ? await pseudonymizeSenders(messages) : null;
+    const redactions = window.SlackSnapRedact.redactMessages(messages, config);
+    const redactedNote = redactions ? `, ${redactions.total} redactions` : '';
     
     // Debug: Show sample of extracted timestamps
     const sampleMessages = messages.slice(0, 3);
@@ -166,10 +210,11 @@ async function exportMessages() {
     
     // Get channel information
     const channelName = window.SlackSnapUtils.extractChannelName();
-    const filename = window.SlackSnapUtils.generateFilename(channelName, config);
     
-    // Convert to markdown
-    const markdownContent = convertToMarkdown(messages, channelName, config);
+    // Render in the configured output format
+    const timeZone = config.timeZone === 'profile' ? slackTimeZone : config.timeZone;
+    const rendered = window.SlackSnapFormatters.renderExport(config.exportFormat, messages, { channelName, redactions }, { ...config, timeZone });
+    const filename = window.SlackSnapUtils.generateFilename(channelName, config, { extension: rendered.extension });
     
     // Send to background script for download (supports subdirectories)
     try {
@@ -178,18 +223,23 @@ async function exportMessages() {
         action: 'DOWNLOAD_FILE',
         data: {
           filename: filename,
-          content: markdownContent,
+          content: rendered.content,
+          mimeType: rendered.mimeType,
           directory: config.downloadDirectory
         }
       });
       
       if (response && response.success) {
         console.log(`✅ File saved to Downloads/${config.downloadDirectory}/${filename}`);
+        if (pseudonymized) {
+          const mapping = await buildPseudonymMapping(pseudonymized.teamId, pseudonymized.pseudonyms, filename);
+          downloadPseudonymMapping(mapping, config.downloadDirectory);
+        }
         
         // Show success notification
         if (typeof window.SlackSnapUtils !== 'undefined') {
           window.SlackSnapUtils.showNotification(
-            `Exported ${messages.length} messages to ${config.downloadDirectory}/${filename}`, 
+            `Exported ${messages.length} messages to ${config.downloadDirectory}/${filename}${redactedNote}`, 
             'success'
           );
         } else {
@@ -206,7 +256,7 @@ async function exportMessages() {
       console.log('🔄 Trying direct download (will go to Downloads root)...');
       
       try {
-        const blob = new Blob([markdownContent], { type: 'text/markdown' });
+        const blob = new Blob([rendered.content], { type: rendered.mimeType });
         const url = URL.createObjectURL(blob);
         
         const downloadLink = document.createElement('a');
@@ -224,7 +274,7 @@ async function exportMessages() {
         
         if (typeof window.SlackSnapUtils !== 'undefined') {
           window.SlackSnapUtils.showNotification(
-            `Exported ${messages.length} messages to Downloads/${filename}`, 
+            `Exported ${messages.length} messages to Downloads/${filename}${redactedNote}`, 
             'success'
           );
         }
@@ -241,11 +291,66 @@ async function exportMessages() {
   }
 }
 
+/**
+ * Name senders the way the API export does, from the user directory. A
+ * sender keeps the name scraped from the page when they can't be looked up.
+ * @param {Array<Object>} messages - Extracted messages (updated in place, replies included)
+ * @param {Object} config - Configuration object
+ */
+async function nameSendersFromDirectory(messages, config) {
+  const all = messages.flatMap(msg => [msg, ...msg.threadReplies]);
+  const userIds = [...new Set(all.map(msg => msg.senderId).filter(Boolean))];
+  if (userIds.length === 0) return;
+
+  try {
+    const userMap = await fetchSpecificUsers(userIds, getSlackAuthToken(), config);
+    for (const msg of all) {
+      if (msg.senderId && userMap[msg.senderId]) msg.sender = userMap[msg.senderId];
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not name senders from the user directory:', error);
+  }
+}
+
+/**
+ * Swap scraped senders, and @mentions of them, for the workspace's
+ * pseudonyms. A mention of someone who didn't post in the exported messages
+ * can't be told apart from other text on the page, so it keeps the name.
+ * @param {Array<Object>} messages - Extracted messages (updated in place, replies included)
+ * @returns {Promise<Object>} { teamId, pseudonyms } the team the pseudonyms belong to, and the
+ *   pseudonym of each person in the messages
+ */
+async function pseudonymizeSenders(messages) {
+  const { teamId } = getSlackAuthToken();
+  const all = messages.flatMap(msg => [msg, ...msg.threadReplies]);
+  const personKey = msg => msg.senderId || `name:${msg.sender}`;
+
+  const people = {};
+  for (const msg of all) {
+    if (msg.sender) people[personKey(msg)] = msg.sender;
+  }
+  const pseudonyms = await window.SlackSnapUsers.assignPseudonyms(people, teamId);
+
+  // Longest names first, so "Sam Lee" isn't half-replaced by "Sam"
+  const byName = Object.entries(people)
+    .map(([key, name]) => [name, pseudonyms[key]])
+    .sort((a, b) => b[0].length - a[0].length);
+  for (const msg of all) {
+    if (msg.sender) msg.sender = pseudonyms[personKey(msg)];
+    for (const [name, pseudonym] of byName) {
+      msg.content = msg.content.split(`@${name}`).join(`@${pseudonym}`);
+    }
+  }
+  return { teamId, pseudonyms };
+}
+
 /**
  * Extract visible messages from Slack DOM
+ * @param {string} timeZone - Zone the page shows times in ('' for the browser's), for dating
+ *   time-only timestamps from the day dividers
  * @returns {Array<Object>} Array of message objects
  */
-function extractVisibleMessages() {
+function extractVisibleMessages(timeZone = '') {
   const messages = [];
   
   try {
@@ -336,6 +441,8 @@ function extractVisibleMessages() {
       }
     }
     
+    const dayDividers = findDayDividers();
+    
     // Process each message element
     console.log(`Processing ${messageElements.length} message elements...`);
     for (let i = 0; i < messageElements.length; i++) {
@@ -343,6 +450,10 @@ function extractVisibleMessages() {
       
       const messageData = extractMessageData(element);
       if (messageData && messageData.content && messageData.content.trim()) {
+        const dayLabel = getDayLabelBefore(element, dayDividers);
+        for (const msg of [messageData, ...messageData.threadReplies]) {
+          msg.timestamp = dateTimeOfDay(msg.timestamp, dayLabel, timeZone);
+        }
         messages.push(messageData);
         if (i % 50 === 0) { // Log every 50th message to avoid spam
           console.log(`✅ Processed ${i + 1}/${messageElements.length} messages...`);
@@ -350,13 +461,8 @@ function extractVisibleMessages() {
       }
     }
     
-    // Sort messages by timestamp if available
-    messages.sort((a, b) => {
-      if (a.timestamp && b.timestamp) {
-        return new Date(a.timestamp) - new Date(b.timestamp);
-      }
-      return 0;
-    });
+    // Sort messages by timestamp if available (unreadable ones keep their place)
+    messages.sort((a, b) => (domTimestampToMs(a.timestamp) - domTimestampToMs(b.timestamp)) || 0);
     
     console.log(`Extracted ${messages.length} valid messages`);
     return messages;
@@ -376,6 +482,7 @@ function extractMessageData(element) {
   try {
     const messageData = {
       sender: '',
+      senderId: null,
       timestamp: '',
       content: '',
       threadReplies: []
@@ -399,6 +506,12 @@ function extractMessageData(element) {
       }
     }
     
+    // Slack tags the sender button with the user ID, so the user directory can name them
+    const senderIdElement = element.querySelector('[data-message-sender]');
+    if (senderIdElement) {
+      messageData.senderId = senderIdElement.getAttribute('data-message-sender');
+    }
+    
     // Extract timestamp
     const timestampSelectors = [
       'time[datetime]',
@@ -414,7 +527,9 @@ function extractMessageData(element) {
     for (const selector of timestampSelectors) {
       const timestampElement = element.querySelector(selector);
       if (timestampElement) {
-        messageData.timestamp = timestampElement.getAttribute('datetime') || 
+        // Slack's timestamp links carry the message ts; their text is only a time of day
+        messageData.timestamp = timestampElement.getAttribute('data-ts') ||
+                               timestampElement.getAttribute('datetime') || 
                                timestampElement.getAttribute('title') ||
                                timestampElement.getAttribute('aria-label') ||
                                timestampElement.textContent;
@@ -516,6 +631,119 @@ function extractMessageData(element) {
   }
 }
 
+// ── Day dividers ──────────────────────────────────────────────────
+
+const DAY_DIVIDER_SELECTORS = [
+  '[data-qa="day_divider_label"]',
+  '.c-message_list__day_divider__label',
+  '[class*="day_divider"]'
+];
+
+const MONTH_PATTERN = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * The "Today" / "Monday, July 21st" dividers between days in the message
+ * list, in page order
+ * @returns {Array<Object>} [{ element, label }]
+ */
+function findDayDividers() {
+  for (const selector of DAY_DIVIDER_SELECTORS) {
+    const elements = document.querySelectorAll(selector);
+    if (elements.length > 0) {
+      return Array.from(elements, element => ({
+        element,
+        label: window.SlackSnapUtils.cleanText(element.getAttribute('aria-label') || element.textContent)
+      }));
+    }
+  }
+  return [];
+}
+
+/**
+ * The label of the last day divider above a message
+ * @param {Element} element - Message element
+ * @param {Array<Object>} dividers - From findDayDividers()
+ * @returns {string|null} Label, or null when no divider comes before it
+ */
+function getDayLabelBefore(element, dividers) {
+  for (let i = dividers.length - 1; i >= 0; i--) {
+    if (dividers[i].element.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      return dividers[i].label;
+    }
+  }
+  return null;
+}
+
+/**
+ * Give a time-of-day timestamp ("5:05 PM", or "Jul 22nd at 5:05 PM") a real
+ * date: its own, else the day divider's. Anything else is returned as it is.
+ * @param {string} timestamp - Timestamp scraped from the page
+ * @param {string|null} dayLabel - Day divider above the message
+ * @param {string} timeZone - Zone the page shows times in
+ * @returns {string} Unix seconds, like an API ts, when it could be dated
+ */
+function dateTimeOfDay(timestamp, dayLabel, timeZone) {
+  if (!timestamp || !Number.isNaN(domTimestampToMs(timestamp))) return timestamp;
+
+  const time = timestamp.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?/i);
+  const day = time && (parseDayLabel(timestamp, timeZone) || (dayLabel && parseDayLabel(dayLabel, timeZone)));
+  if (!day) return timestamp;
+
+  let hour = Number(time[1]) % (time[4] ? 12 : 24);
+  if (time[4] && time[4].toUpperCase() === 'PM') hour += 12;
+  const date = window.SlackSnapUtils.zonedTimeToDate({
+    ...day, hour, minute: Number(time[2]), second: Number(time[3] || 0)
+  }, timeZone);
+  return String(date.getTime() / 1000);
+}
+
+/**
+ * The date a day divider (or Slack's "Jul 22nd at ..." label) stands for.
+ * Dates without a year are the most recent one that isn't in the future.
+ * @param {string} label - e.g. "Today", "Yesterday", "Monday", "Monday, July 21st",
+ *   "Friday, December 6th, 2024" or "21 July 2025"
+ * @param {string} timeZone - Zone "today" is counted in
+ * @returns {Object|null} { year, month (1-12), day }
+ */
+function parseDayLabel(label, timeZone) {
+  const today = window.SlackSnapUtils.getZonedParts(new Date(), timeZone);
+  const daysAgo = (days) => {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day - days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  };
+  const lower = label.toLowerCase();
+
+  if (/\btoday\b/.test(lower)) return daysAgo(0);
+  if (/\byesterday\b/.test(lower)) return daysAgo(1);
+
+  const monthFirst = lower.match(new RegExp(`\\b(${MONTH_PATTERN})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`));
+  const dayFirst = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})[a-z]*\\.?(?:,?\\s+(\\d{4}))?`));
+  if (monthFirst || dayFirst) {
+    const [monthName, day, year] = monthFirst ? [monthFirst[1], monthFirst[2], monthFirst[3]] : [dayFirst[2], dayFirst[1], dayFirst[3]];
+    const month = MONTH_PATTERN.split('|').indexOf(monthName) + 1;
+    const isFuture = Date.UTC(today.year, month - 1, Number(day)) > Date.UTC(today.year, today.month - 1, today.day);
+    return { year: year ? Number(year) : today.year - (isFuture ? 1 : 0), month, day: Number(day) };
+  }
+
+  // Within the last week Slack names just the weekday
+  const weekday = WEEKDAYS.findIndex(name => lower.startsWith(name));
+  if (weekday !== -1) return daysAgo((today.weekday - weekday + 7) % 7 || 7);
+
+  return null;
+}
+
+/**
+ * A scraped timestamp as Unix ms, NaN when it doesn't say which moment
+ * (a time of day on its own, say)
+ */
+function domTimestampToMs(timestamp) {
+  if (/^\d{10}(\.\d+)?$/.test(timestamp)) return parseFloat(timestamp) * 1000;
+  const permalink = String(timestamp).match(/^p(\d{10})/);
+  if (permalink) return Number(permalink[1]) * 1000;
+  return new Date(timestamp).getTime();
+}
+
 /**
  * Extract text content from an element, preserving formatting
  * @param {Element} element - DOM element
@@ -563,128 +791,14 @@ function extractTextContent(element) {
 }
 
 /**
- * Convert messages to markdown format
- * @param {Array<Object>} messages - Array of message objects
- * @param {string} channelName - Channel name
- * @param {Object} config - Configuration object
- * @returns {string} Markdown content
- */
-function convertToMarkdown(messages, channelName, config) {
-  const now = new Date();
-  const exportTime = now.toLocaleString();
-  
-  let markdown = `# SlackSnap Export: ${channelName}\n`;
-  markdown += `*Exported: ${exportTime}*\n\n`;
-  markdown += `---\n\n`;
-  
-  for (const message of messages) {
-    // Add sender and timestamp
-    if (message.sender) {
-      markdown += `**${window.SlackSnapUtils.escapeMarkdown(message.sender)}**`;
-      
-      if (config.includeTimestamps && message.timestamp) {
-        const formattedTime = formatTimestamp(message.timestamp);
-        markdown += ` (${formattedTime})`;
-      }
-      
-      markdown += `:\n`;
-    }
-    
-    // Add message content
-    if (message.content) {
-      markdown += `${message.content}\n\n`;
-    }
-    
-    // Add thread replies if enabled
-    if (config.includeThreadReplies && message.threadReplies.length > 0) {
-      markdown += `**Thread Replies:**\n`;
-      for (const reply of message.threadReplies) {
-        if (reply.sender) {
-          markdown += `  • **${window.SlackSnapUtils.escapeMarkdown(reply.sender)}**: `;
-        }
-        if (reply.content) {
-          markdown += `${reply.content}\n`;
-        }
-      }
-      markdown += `\n`;
-    }
-  }
-  
-  return markdown;
-}
-
-/**
- * Format timestamp for display with date
- * @param {string} timestamp - Raw timestamp
- * @returns {string} Formatted timestamp with date
- */
-function formatTimestamp(timestamp) {
-  try {
-    // Lightweight parsing without verbose per-timestamp logs
-    
-    let date = null;
-    
-    // Handle API timestamps (ISO format from our conversion)
-    if (timestamp && typeof timestamp === 'string' && timestamp.includes('T')) {
-      date = new Date(timestamp);
-    }
-    // Handle raw Unix timestamps from API (like "1753160757.123400" or with varying decimals)
-    else if (timestamp && /^\d{10}(\.\d+)?$/.test(timestamp)) {
-      const unixTimestamp = parseFloat(timestamp) * 1000; // Convert to milliseconds
-      date = new Date(unixTimestamp);
-    }
-    // Try parsing Slack's permalink timestamp formats
-    else if (timestamp && String(timestamp).includes('p')) {
-      const match = String(timestamp).match(/p(\d{10})\d*/);
-      if (match) {
-        const unixTimestamp = parseInt(match[1]) * 1000;
-        date = new Date(unixTimestamp);
-      }
-    }
-    // Try parsing as regular timestamp
-    else if (!date || isNaN(date.getTime())) {
-      date = new Date(timestamp);
-    }
-    
-    // Try parsing various formats if still failing
-    if (!date || isNaN(date.getTime())) {
-      // For time-only formats like "5:05 PM", we can't assume the date
-      // Just return the original timestamp since we don't know when it was sent
-      const timeMatch = timestamp.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (timeMatch) {
-        console.log('⚠️ Found time-only format without date context:', timestamp);
-        return timestamp; // Return as-is since we can't determine the actual date
-      }
-    }
-    
-    if (!date || isNaN(date.getTime())) {
-      console.warn('⚠️ Could not parse timestamp:', timestamp);
-      return timestamp; // Return original if parsing fails
-    }
-    
-    // Always show full date with year - use explicit formatting to avoid locale issues
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = months[date.getMonth()];
-    const day = date.getDate();
-    const year = date.getFullYear();
-    
-    let hours = date.getHours();
-    const minutes = date.getMinutes();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12; // the hour '0' should be '12'
-    const minutesStr = String(minutes).padStart(2, '0');
-    
-    return `${month} ${day}, ${year} ${hours}:${minutesStr} ${ampm}`;
-  } catch (error) {
-    return timestamp;
-  }
-}
-
-/**
- * Get authentication token from Slack's localStorage
+ * Get authentication token from Slack's localStorage. Slack keeps one entry
+ * per signed-in workspace in localConfig_v2.teams.
+ * @param {string|null} workspaceId - Team ID (T...), or an Enterprise Grid org ID (E...) for
+ *   org-level channels; defaults to the workspace open in this tab
+ * @returns {Object} { token, teamId, team, enterpriseId }
+ * @throws {Error} When there's no session for the workspace
  */
-function getSlackAuthToken() {
+function getSlackAuthToken(workspaceId = null) {
   try {
     const config = JSON.parse(localStorage.getItem('localConfig_v2') || '{}');
     
@@ -692,21 +806,73 @@ function getSlackAuthToken() {
       throw new Error('No Slack teams found in localStorage');
     }
     
-    const teamId = Object.keys(config.teams)[0];
-    const team = config.teams[teamId];
+    const wantedId = workspaceId || getActiveTeamId(config);
+    const team = findSlackTeam(config, wantedId) || (workspaceId ? null : Object.values(config.teams)[0]);
+    if (!team && workspaceId) {
+      throw new Error(`Not signed in to workspace ${workspaceId} in this browser`);
+    }
     
     if (!team || !team.token) {
       throw new Error('No authentication token found');
     }
     
+    const teamId = team.id || Object.keys(config.teams).find(id => config.teams[id] === team);
     console.log('✅ Found Slack auth token for team:', teamId);
-    return { token: team.token, teamId, team };
+    return { token: team.token, teamId, team, enterpriseId: team.enterprise_id || null };
   } catch (error) {
     console.error('❌ Failed to get Slack auth token:', error);
     throw error;
   }
 }
 
+/**
+ * The team (or Grid org) this tab is showing: the ID in /client/<id>/...,
+ * else the team Slack last had open
+ * @param {Object} config - Parsed localConfig_v2
+ * @returns {string|null} Team or enterprise ID
+ */
+function getActiveTeamId(config) {
+  const match = window.location.pathname.match(/\/client\/([TE][A-Z0-9]+)/);
+  return match ? match[1] : config.lastActiveTeamId || null;
+}
+
+/**
+ * Find a signed-in team by team ID, or by Enterprise Grid org ID (any of the
+ * org's workspaces can read its org-level channels; the last active one is
+ * preferred)
+ * @param {Object} config - Parsed localConfig_v2
+ * @param {string|null} id - Team or enterprise ID
+ * @returns {Object|null} Team entry
+ */
+function findSlackTeam(config, id) {
+  if (!id) return null;
+  if (config.teams[id] && config.teams[id].token) return config.teams[id];
+
+  const orgTeams = Object.values(config.teams).filter(team => team.enterprise_id === id && team.token);
+  return orgTeams.find(team => team.id === config.lastActiveTeamId) || orgTeams[0] || null;
+}
+
+/**
+ * Workspaces signed in to in this browser, for the popup's switcher
+ * @returns {Object} { workspaces: [{ id, name, domain, enterpriseId, enterpriseName }], activeId }
+ */
+function listSlackWorkspaces() {
+  const config = JSON.parse(localStorage.getItem('localConfig_v2') || '{}');
+  const workspaces = Object.entries(config.teams || {})
+    .filter(([, team]) => team.token)
+    .map(([id, team]) => ({
+      id: team.id || id,
+      name: team.name || team.domain || id,
+      domain: team.domain || '',
+      enterpriseId: team.enterprise_id || null,
+      enterpriseName: team.enterprise_name || null
+    }));
+
+  // An org-level URL (E...) counts as whichever of the org's workspaces we'd use
+  const active = findSlackTeam({ ...config, teams: config.teams || {} }, getActiveTeamId(config));
+  return { workspaces, activeId: active ? active.id : workspaces[0]?.id || null };
+}
+
 /**
  * Get current channel ID from URL or page context
  */
@@ -749,95 +915,558 @@ function getCurrentChannelId() {
 /**
  * Export a specific channel via API (parameterized version for batch export)
  * @param {string} channelId - The Slack channel ID to export
- * @param {string} channelName - Human-readable channel name (used in markdown header)
- * @param {number|null} oldestTimestamp - If provided, fetch messages since this Unix ms timestamp; otherwise use historyDays
- * @returns {Promise<Object>} Result with messageCount, markdown, channelName
+ * @param {string} channelName - Human-readable channel name (used in the export header)
+ * @param {number|null} oldestTimestamp - If provided, fetch messages since this Unix ms timestamp; otherwise use
+ *   historyDays, counted back from latestTimestamp when there is one
+ * @param {Object} options - { format, latestTimestamp, watermark, threadRescanFrom, archive, jobId, workspace,
+ *   filters } output format id (defaults to config.exportFormat), optional Unix ms upper bound of the export
+ *   window, the Slack ts of the newest message exported last time (overrides oldestTimestamp; see
+ *   isUpdatedSince), the Slack ts to re-scan threads back to along with the watermark (a rolling archive's
+ *   oldest thread),
+ *   whether the file is a rolling archive (named by archiveFileNameFormat), the batch job to checkpoint
+ *   progress for (a saved checkpoint's window and pages take precedence over the arguments), and the
+ *   team or Grid org ID whose session to use (defaults to the tab's workspace), and the message
+ *   filter sets to apply (see src/filters.js)
+ * @returns {Promise<Object>} Result with messageCount, content, format, extension, mimeType, filename,
+ *   directory, messages, channelName, range, newestTs (the channel's next watermark), filtered
+ *   (messages removed by each filter, or null when none are on), timeZone (the zone the file's
+ *   times are in, "profile" looked up; '' for the browser's), and (when
+ *   messages were found) workspace, users, mapping (the pseudonym mapping file's { filename,
+ *   content } when pseudonymizeUsers is on, else null) and redactions ({ total, byRule }, or
+ *   null when redaction is off)
  */
-async function exportChannelViaAPI(channelId, channelName, oldestTimestamp = null) {
+async function exportChannelViaAPI(channelId, channelName, oldestTimestamp = null, options = {}) {
   const config = await getConfig();
-  const { token } = getSlackAuthToken();
+  const format = options.format || config.exportFormat;
+  const auth = getSlackAuthToken(options.workspace || null);
+  const { token, team } = auth;
+  const workspace = team.domain || team.name || '';
 
-  const oldestUnix = oldestTimestamp
-    ? Math.floor(oldestTimestamp / 1000)
-    : Math.floor((Date.now() - (config.historyDays || 7) * 86400 * 1000) / 1000);
+  let checkpoint = options.jobId ? await loadCheckpoint(options.jobId, channelId) : null;
 
-  console.log(`📆 Export window for ${channelName}: since ${new Date(oldestUnix * 1000).toISOString()}`);
-  const apiMessages = await getMessagesViaHistoryAPI(channelId, oldestUnix, token);
+  const watermark = options.watermark ? parseFloat(options.watermark) : null;
+  let oldestUnix;
+  if (watermark) {
+    // Look back past the watermark for edited messages and new thread replies
+    const lookbackSeconds = Math.max((config.watermarkOverlapMinutes ?? 5) * 60, (config.threadRescanDays || 0) * 86400);
+    oldestUnix = Math.floor(watermark - lookbackSeconds);
+    if (options.threadRescanFrom) {
+      // Rolling archive: reach back to its oldest thread; isUpdatedSince() keeps only threads with new replies
+      oldestUnix = Math.min(oldestUnix, Math.floor(parseFloat(options.threadRescanFrom)));
+    }
+  } else {
+    // With only an end date, the history window ends there rather than now
+    const windowEnd = options.latestTimestamp || Date.now();
+    oldestUnix = oldestTimestamp
+      ? Math.floor(oldestTimestamp / 1000)
+      : Math.floor((windowEnd - (config.historyDays || 7) * 86400 * 1000) / 1000);
+  }
+
+  // Keep sub-second precision: an end date maps to 23:59:59.999 of that day
+  let latestUnix = options.latestTimestamp ? options.latestTimestamp / 1000 : null;
+  if (latestUnix !== null && latestUnix <= oldestUnix) {
+    throw new Error('Invalid date range: end must be after start');
+  }
+
+  if (checkpoint) {
+    // Resuming: keep the window the saved pages were fetched for
+    ({ oldestUnix, latestUnix } = checkpoint);
+    console.log(`⏯️ Resuming ${channelName} from page ${checkpoint.pageCount + 1} (${checkpoint.threads.length} threads already fetched)`);
+  } else if (options.jobId) {
+    // Pin the end of the window so a resumed export doesn't miss or repeat messages
+    latestUnix = latestUnix || Math.floor(Date.now() / 1000);
+    checkpoint = createCheckpoint(options.jobId, channelId, oldestUnix, latestUnix);
+  }
+  const range = { oldest: oldestUnix, latest: latestUnix || Math.floor(Date.now() / 1000) };
+  const timeZone = config.timeZone === 'profile' ? await getProfileTimeZone(auth, config) : config.timeZone;
+
+  console.log(`📆 Export window for ${channelName}: ${new Date(oldestUnix * 1000).toISOString()} → ${latestUnix ? new Date(latestUnix * 1000).toISOString() : 'now'}`);
+  const fetchedMessages = await getMessagesViaHistoryAPI(channelId, oldestUnix, token, latestUnix, checkpoint);
 
-  if (!apiMessages || apiMessages.length === 0) {
+  // The next export starts from the newest message seen, or the end of this
+  // window if there has never been one (Slack assigns ts on the server, so
+  // nothing can turn up later with an older one)
+  const newestTs = fetchedMessages.reduce(
+    (newest, msg) => (!newest || parseFloat(msg.ts) > parseFloat(newest) ? msg.ts : newest),
+    options.watermark || null
+  ) || String(range.latest);
+
+  // Drop the look-back's messages that were already exported as they are
+  const updatedMessages = watermark
+    ? fetchedMessages.filter(msg => isUpdatedSince(msg, watermark, config.includeThreadReplies))
+    : fetchedMessages;
+  if (watermark) {
+    console.log(`💧 ${fetchedMessages.length - updatedMessages.length} messages unchanged since the last export (watermark ${options.watermark})`);
+  }
+
+  // Before thread replies are fetched, so threads that are filtered out cost nothing
+  const { kept: apiMessages, removed: filtered } = await applyMessageFilters(updatedMessages, options.filters || [], auth, config);
+
+  if (apiMessages.length === 0) {
     console.log(`ℹ️ No messages found for ${channelName} in the selected date range.`);
-    return { messageCount: 0, markdown: '', channelName };
+    const { id, extension, mimeType } = window.SlackSnapFormatters.getFormatter(format);
+    const filename = buildExportFilename(channelId, channelName, config, {
+      extension, range, messageCount: 0, archive: options.archive, workspace
+    });
+    const directory = getChannelDirectory(channelId, config);
+    return {
+      messageCount: 0, content: '', format: id, extension, mimeType, filename, directory, messages: [], channelName, range, newestTs,
+      filtered, timeZone
+    };
   }
 
-  // Extract unique user IDs from messages and cache thread replies
-  const userIds = new Set();
+  // Extract referenced users/channels/user groups and cache thread replies
+  const refs = { users: new Set(), channels: new Set(), usergroups: new Set(), bots: new Set() };
   const threadRepliesCache = new Map();
-  let threadFetchCount = 0;
-  
+
   for (const msg of apiMessages) {
-    if (msg.user) userIds.add(msg.user);
-    const mentionMatches = (msg.text || '').match(/<@([A-Z0-9]+)>/g);
-    if (mentionMatches) {
-      mentionMatches.forEach(match => {
-        const userId = match.match(/<@([A-Z0-9]+)>/)[1];
-        userIds.add(userId);
-      });
-    }
+    collectReferencedIds(msg, refs);
     if (config.includeThreadReplies && msg.thread_ts && msg.reply_count > 0) {
-      // Add delay between thread reply fetches to avoid rate limiting
-      if (threadFetchCount > 0) {
-        await new Promise(resolve => setTimeout(resolve, 800)); // 800ms delay between thread fetches
+      let repliesRaw = checkpoint?.replies.get(msg.thread_ts);
+      if (!repliesRaw) {
+        if (checkpoint) throwIfStopped(checkpoint.jobId);
+        repliesRaw = await fetchThreadReplies(channelId, msg.thread_ts, oldestUnix, token, latestUnix);
+        // An empty result means the fetch failed (replies include the parent): try again on resume
+        if (checkpoint && repliesRaw.length > 0) {
+          await saveCheckpointThread(checkpoint, msg.thread_ts, repliesRaw);
+        }
       }
-      threadFetchCount++;
-      
-      const repliesRaw = await fetchThreadReplies(channelId, msg.thread_ts, oldestUnix, token);
       threadRepliesCache.set(msg.thread_ts, repliesRaw);
       for (const reply of repliesRaw) {
-        if (reply.user) userIds.add(reply.user);
-        const replyMentions = (reply.text || '').match(/<@([A-Z0-9]+)>/g);
-        if (replyMentions) {
-          replyMentions.forEach(match => {
-            const userId = match.match(/<@([A-Z0-9]+)>/)[1];
-            userIds.add(userId);
-          });
-        }
+        collectReferencedIds(reply, refs);
       }
     }
   }
 
-  console.log(`🎯 Need to fetch ${userIds.size} users for ${channelName}`);
-  const userMap = await fetchSpecificUsers(Array.from(userIds), token);
+  console.log(`🎯 Need to fetch ${refs.users.size} users for ${channelName}`);
+  let userMap = await fetchSpecificUsers(Array.from(refs.users), auth, config);
+  const channelNames = await fetchChannelNames(Array.from(refs.channels), token);
+  const userGroupHandles = refs.usergroups.size > 0 ? await fetchUserGroupHandles(token) : {};
+  const botNames = await fetchBotNames(Array.from(refs.bots), token);
+
+  // Pseudonyms stand in for people wherever they appear: senders, mentions and reactions
+  let pseudonyms = null;
+  if (config.pseudonymizeUsers) {
+    const allRaw = apiMessages.concat(...threadRepliesCache.values());
+    const people = {};
+    for (const id of refs.users) people[id] = userMap[id] || null;
+    for (const reaction of allRaw.flatMap(msg => msg.reactions || [])) {
+      for (const id of reaction.users || []) {
+        if (!(id in people)) people[id] = null;
+      }
+    }
+    pseudonyms = await window.SlackSnapUsers.assignPseudonyms(people, auth.teamId);
+    userMap = pseudonyms;
+  }
 
   // Enrich messages with usernames and thread replies
+  const resolver = {
+    user: id => userMap[id],
+    channel: id => channelNames[id],
+    usergroup: id => userGroupHandles[id],
+    timeZone,
+    timeFormat: config.timeFormat
+  };
+  const attachments = createAttachmentCollector(config);
+  const hiddenSubtypes = new Set(config.hiddenSubtypes || []);
+  const isHidden = (msg) => msg.subtype && hiddenSubtypes.has(normalizeSubtype(msg.subtype));
+  const enrichContext = { userMap, botNames, resolver, attachments, pseudonyms };
+
   const enrichedMessages = [];
   for (const apiMsg of apiMessages) {
-    const sender = userMap[apiMsg.user] || 'Unknown User';
-    let content = window.SlackSnapUtils.cleanText(apiMsg.text || '');
-    content = content.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
+    if (isHidden(apiMsg)) continue;
+    const message = await enrichMessage(apiMsg, enrichContext);
 
     const threadReplies = [];
     if (config.includeThreadReplies && apiMsg.thread_ts && apiMsg.reply_count > 0) {
       const repliesRaw = threadRepliesCache.get(apiMsg.thread_ts) || [];
       for (const reply of repliesRaw) {
-        if (reply.ts === apiMsg.thread_ts) continue;
-        const replySender = userMap[reply.user] || 'Unknown User';
-        let replyContent = window.SlackSnapUtils.cleanText(reply.text || '');
-        replyContent = replyContent.replace(/<@([A-Z0-9]+)>/g, (_, id) => '@' + (userMap[id] || 'unknown'));
-        threadReplies.push({ sender: replySender, content: replyContent, timestamp: reply.ts });
+        if (reply.ts === apiMsg.thread_ts || isHidden(reply)) continue;
+        if (watermark && !isUpdatedSince(reply, watermark, false)) continue;
+        threadReplies.push(await enrichMessage(reply, enrichContext));
       }
     }
 
-    enrichedMessages.push({ sender, content, timestamp: apiMsg.ts, threadReplies });
+    enrichedMessages.push({ ...message, threadReplies });
   }
 
+  // Keep file-only messages (screenshots, uploads) even with no text
   const messages = enrichedMessages
-    .filter(msg => msg.content && msg.content.trim())
+    .filter(msg => (msg.content && msg.content.trim()) || msg.files.length > 0)
     .sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
 
-  const markdown = convertToMarkdown(messages, channelName, config);
-  console.log(`✅ Processed ${messages.length} messages for ${channelName}`);
+  // Before anything is written: the file, attachment names and the archive's copy
+  const redactions = window.SlackSnapRedact.redactMessages(messages, config);
+
+  const { extension } = window.SlackSnapFormatters.getFormatter(format);
+  const filename = buildExportFilename(channelId, channelName, config, {
+    extension, range, messageCount: messages.length, archive: options.archive, workspace
+  });
+  const directory = getChannelDirectory(channelId, config);
+
+  await attachments.downloadAll(filename, directory);
+  if (attachments.downloadedCount > 0) {
+    console.log(`📎 Saved ${attachments.downloadedCount} attachments for ${channelName}`);
+  }
+
+  const rendered = window.SlackSnapFormatters.renderExport(format, messages, { channelName, channelId, range, redactions }, { ...config, timeZone });
+  console.log(`✅ Processed ${messages.length} messages for ${channelName} (${rendered.format})`);
+  const mapping = pseudonyms ? await buildPseudonymMapping(auth.teamId, pseudonyms, filename) : null;
+
+  return {
+    messageCount: messages.length, ...rendered, filename, directory, messages, channelName, range, newestTs,
+    workspace, users: userMap, mapping, redactions, filtered, timeZone
+  };
+}
+
+/**
+ * Run top-level messages through the export's filter sets (see src/filters.js)
+ * @param {Array<Object>} apiMessages - Raw API messages
+ * @param {Array<Object>} filterSets - The batch's filters and the channel's own
+ * @param {Object} auth - Session from getSlackAuthToken()
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} { kept, removed } removed counts messages by filter, or is null when
+ *   no filters are on
+ */
+async function applyMessageFilters(apiMessages, filterSets, auth, config) {
+  const sets = filterSets.filter(window.SlackSnapFilters.hasFilters);
+  if (sets.length === 0) return { kept: apiMessages, removed: null };
+
+  // Filters by handle or name need to know who posted what
+  const people = window.SlackSnapFilters.needsAuthors(sets)
+    ? await window.SlackSnapUsers.resolve(apiMessages.map(msg => msg.user), {
+      token: auth.token,
+      teamId: auth.teamId,
+      ttlHours: config.userDirectoryTtlHours
+    })
+    : {};
+  const filter = window.SlackSnapFilters.create(sets, {
+    people,
+    myUserId: sets.some(filters => filters.mentionsMe) ? await getMyUserId(auth) : null,
+    isSystem: msg => !!msg.subtype && SYSTEM_MESSAGE_SUBTYPES.hasOwnProperty(normalizeSubtype(msg.subtype))
+  });
+
+  const kept = apiMessages.filter(filter.keep);
+  console.log(`🔎 Filters kept ${kept.length} of ${apiMessages.length} messages`, filter.removed);
+  return { kept, removed: filter.removed };
+}
+
+/**
+ * The signed-in user's ID: Slack keeps it with the team's session, and
+ * auth.test answers when it doesn't
+ * @param {Object} auth - Session from getSlackAuthToken()
+ * @returns {Promise<string|null>} User ID
+ */
+async function getMyUserId(auth) {
+  if (auth.team.user_id) return auth.team.user_id;
+  try {
+    const data = await window.SlackSnapAPI.call('auth.test', { token: auth.token });
+    return data.user_id || null;
+  } catch (error) {
+    console.warn('⚠️ Could not look up your user ID; "mentions me" will match nothing:', error);
+    return null;
+  }
+}
+
+/**
+ * The signed-in user's time zone from their Slack profile, which is also the
+ * zone Slack shows times in
+ * @param {Object|null} auth - Session from getSlackAuthToken(); null for this tab's
+ * @param {Object} config - Configuration object
+ * @returns {Promise<string>} IANA zone, or '' (the browser's) when it can't be found
+ */
+async function getProfileTimeZone(auth, config) {
+  try {
+    const session = auth || getSlackAuthToken();
+    const myUserId = await getMyUserId(session);
+    const users = myUserId
+      ? await window.SlackSnapUsers.resolve([myUserId], {
+        token: session.token,
+        teamId: session.teamId,
+        ttlHours: config.userDirectoryTtlHours
+      })
+      : {};
+    if (users[myUserId] && users[myUserId].tz) return users[myUserId].tz;
+    console.warn("⚠️ Your Slack profile has no time zone, using the browser's");
+  } catch (error) {
+    console.warn("⚠️ Could not look up your Slack time zone, using the browser's:", error);
+  }
+  return '';
+}
+
+/**
+ * Whether a message from before the watermark changed after it: newer than
+ * the watermark, edited since, or (with thread replies on) replied to since.
+ * The rest went out in an earlier export.
+ * @param {Object} msg - Raw API message
+ * @param {number} watermark - Newest ts of the previous export
+ * @param {boolean} countReplies - Whether a newer reply counts as a change
+ * @returns {boolean}
+ */
+function isUpdatedSince(msg, watermark, countReplies) {
+  if (parseFloat(msg.ts) > watermark) return true;
+  if (msg.edited && parseFloat(msg.edited.ts) > watermark) return true;
+  return !!countReplies && !!msg.latest_reply && parseFloat(msg.latest_reply) > watermark;
+}
+
+/**
+ * Fill the filename template for a channel export, looking up the channel's
+ * tier and type from the batch list and the workspace from the Slack session
+ * @param {string} channelId - Slack channel ID
+ * @param {string} channelName - Channel name
+ * @param {Object} config - Configuration object
+ * @param {Object} details - { extension, range, messageCount, archive, workspace }; archive picks the
+ *   rolling archive template, and workspace defaults to this tab's
+ * @returns {string} Relative file path
+ */
+function buildExportFilename(channelId, channelName, config, { archive, workspace = getWorkspaceName(), ...details }) {
+  const configured = (config.channels || []).find(ch => ch.channelId === channelId) || {};
+  const template = archive ? { fileNameFormat: config.archiveFileNameFormat } : config;
+  return window.SlackSnapUtils.generateFilename(channelName, template, {
+    ...details,
+    channelId,
+    workspace,
+    type: configured.type || (channelId && channelId.startsWith('D') ? 'dm' : 'channel'),
+    tier: configured.tier
+  });
+}
+
+/**
+ * Name of the signed-in workspace (its Slack domain), or "" when unknown
+ * @returns {string} Workspace name
+ */
+function getWorkspaceName() {
+  try {
+    const { team } = getSlackAuthToken();
+    return team.domain || team.name || '';
+  } catch (error) {
+    // Leave the workspace empty rather than failing the export
+    return '';
+  }
+}
+
+/**
+ * Download folder for a channel: its own `outputFolder` from the batch list
+ * when set, otherwise the global download directory
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} config - Configuration object
+ * @returns {string} Relative folder under Downloads
+ */
+function getChannelDirectory(channelId, config) {
+  const configured = (config.channels || []).find(ch => ch.channelId === channelId);
+  return (configured && configured.outputFolder) || config.downloadDirectory;
+}
+
+/**
+ * Build the enriched message model shared by top-level messages and replies
+ * @param {Object} apiMsg - Raw API message
+ * @param {Object} context - { userMap, botNames, resolver, attachments, pseudonyms } pseudonyms
+ *   (user ID to pseudonym) replaces the user IDs of reactions when set
+ * @returns {Promise<Object>} Enriched message (without threadReplies)
+ */
+async function enrichMessage(apiMsg, context) {
+  const { userMap, botNames, resolver, attachments, pseudonyms } = context;
+  const isBot = !!apiMsg.bot_id || apiMsg.subtype === 'bot_message';
+
+  return {
+    sender: resolveSenderName(apiMsg, userMap, botNames),
+    content: window.SlackSnapMarkdown.messageToMarkdown(apiMsg, resolver),
+    timestamp: apiMsg.ts,
+    threadTs: apiMsg.thread_ts || null,
+    files: attachments.add(apiMsg.files),
+    reactions: (apiMsg.reactions || []).map(r => ({
+      name: r.name,
+      count: r.count,
+      users: pseudonyms ? (r.users || []).map(id => pseudonyms[id]) : r.users || []
+    })),
+    edited: !!apiMsg.edited,
+    pinned: Array.isArray(apiMsg.pinned_to) && apiMsg.pinned_to.length > 0,
+    isBot,
+    subtype: apiMsg.subtype || null,
+    isSystem: !!apiMsg.subtype && SYSTEM_MESSAGE_SUBTYPES.hasOwnProperty(normalizeSubtype(apiMsg.subtype))
+  };
+}
+
+/**
+ * Pick the display name for a message: the user's name, or for bots and
+ * integrations the posting name Slack shows in the UI
+ * @param {Object} apiMsg - Raw API message
+ * @param {Object} userMap - Map of user ID to name
+ * @param {Object} botNames - Map of bot ID to name
+ * @returns {string} Sender name
+ */
+function resolveSenderName(apiMsg, userMap, botNames) {
+  if (apiMsg.bot_id || apiMsg.subtype === 'bot_message') {
+    const botName = apiMsg.username || apiMsg.bot_profile?.name || botNames[apiMsg.bot_id];
+    if (botName) return botName;
+  }
+  if (apiMsg.user && userMap[apiMsg.user]) return userMap[apiMsg.user];
+  return apiMsg.bot_id ? 'Unknown Bot' : 'Unknown User';
+}
+
+/**
+ * Private channels used to have their own `group_*` subtypes; treat them
+ * the same as the `channel_*` ones
+ * @param {string} subtype - Slack message subtype
+ * @returns {string} Normalized subtype
+ */
+function normalizeSubtype(subtype) {
+  return subtype.replace(/^group_/, 'channel_');
+}
+
+/**
+ * Largest attachment we read into the content script and hand over as a
+ * data URL; bigger files are handed to chrome.downloads by URL instead
+ */
+const MAX_INLINE_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const ATTACHMENTS_FOLDER = 'attachments';
+
+/**
+ * Track attachments for one export: describes each file for rendering and,
+ * when `downloadAttachments` is enabled, saves it into the attachments/
+ * folder next to the exported file. Downloads wait for downloadAll() because
+ * the export's own path (and so its folder) is only known once the messages
+ * are in. Files shared in several messages are only downloaded once.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Collector with add(files), downloadAll(exportFilename) and downloadedCount
+ */
+function createAttachmentCollector(config) {
+  const seen = new Map();
+
+  return {
+    downloadedCount: 0,
+
+    /**
+     * @param {Array<Object>} files - Raw Slack file objects from a message
+     * @returns {Array<Object>} Render-ready file descriptions
+     */
+    add(files) {
+      const described = [];
+      for (const file of files || []) {
+        if (!seen.has(file.id)) {
+          seen.set(file.id, { file, info: describeAttachment(file) });
+        }
+        described.push(seen.get(file.id).info);
+      }
+      return described;
+    },
+
+    /**
+     * Download the collected files and point their links at the local copies
+     * @param {string} exportFilename - Relative path of the export file
+     * @param {string} directory - Download folder the export is saved under
+     */
+    async downloadAll(exportFilename, directory) {
+      if (!config.downloadAttachments) return;
+
+      const exportFolder = exportFilename.includes('/')
+        ? exportFilename.substring(0, exportFilename.lastIndexOf('/') + 1)
+        : '';
+      for (const { file, info } of seen.values()) {
+        if (info.unavailable || file.mode === 'external') continue;
+        if (await downloadAttachment(file, info, exportFolder, directory)) {
+          this.downloadedCount++;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the rendering info for a file
+ * @param {Object} file - Raw Slack file object
+ * @returns {Object} { name, title, isImage, href, unavailable }
+ */
+function describeAttachment(file) {
+  const name = file.name || file.title || file.id;
+  const info = {
+    name,
+    title: file.title || name,
+    isImage: (file.mimetype || '').startsWith('image/'),
+    href: file.permalink || file.url_private || '',
+    unavailable: false
+  };
+
+  // Deleted files and ones hidden by plan limits have no downloadable content
+  if (file.mode === 'tombstone' || file.mode === 'hidden_by_limit' || !file.url_private) {
+    info.unavailable = true;
+  }
+
+  return info;
+}
+
+/**
+ * Save one file into the attachments/ folder beside the export, updating
+ * info.href to the relative link; on failure the Slack link is kept
+ * @param {Object} file - Raw Slack file object
+ * @param {Object} info - Rendering info from describeAttachment
+ * @param {string} exportFolder - Folder of the export file ("" or ending in "/")
+ * @param {string} directory - Download folder the export is saved under
+ * @returns {Promise<boolean>} Whether the file was saved
+ */
+async function downloadAttachment(file, info, exportFolder, directory) {
+  const relativePath = `${ATTACHMENTS_FOLDER}/${file.id}-${sanitizeAttachmentName(info.name)}`;
+
+  try {
+    const sourceUrl = file.url_private_download || file.url_private;
+    const url = file.size && file.size > MAX_INLINE_ATTACHMENT_BYTES
+      ? sourceUrl
+      : await fetchAttachmentAsDataUrl(sourceUrl);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'DOWNLOAD_FILE',
+      data: {
+        filename: exportFolder + relativePath,
+        url,
+        directory,
+        // File IDs are stable, so a re-export replaces rather than duplicates
+        conflictAction: 'overwrite'
+      }
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Background download failed');
+    }
+
+    info.href = relativePath;
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not download attachment ${info.name}, linking to Slack instead:`, error);
+    return false;
+  }
+}
+
+/**
+ * Fetch a private Slack file using the page's session cookies
+ * @param {string} url - url_private or url_private_download
+ * @returns {Promise<string>} Data URL of the file content
+ */
+async function fetchAttachmentAsDataUrl(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`File fetch failed with HTTP ${response.status}`);
+  }
 
-  return { messageCount: messages.length, markdown, channelName };
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Make a Slack file name safe for the filesystem and a Markdown link
+ * @param {string} name - Original file name
+ * @returns {string} Sanitized name
+ */
+function sanitizeAttachmentName(name) {
+  return String(name)
+    .replace(/[^\w\-.]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[-.]+/, '')
+    .substring(0, 100) || 'file';
 }
 
 /**
@@ -854,21 +1483,25 @@ async function exportMessagesViaAPI() {
     if (!channelId) throw new Error('Could not determine channel ID');
     const channelName = window.SlackSnapUtils.extractChannelName();
 
-    const result = await exportChannelViaAPI(channelId, channelName);
+    const { oldestTimestamp, latestTimestamp } = window.SlackSnapUtils.parseDateRange(config.rangeStart, config.rangeEnd);
+    const result = await exportChannelViaAPI(channelId, channelName, oldestTimestamp, { latestTimestamp });
 
     if (result.messageCount === 0) {
       window.SlackSnapUtils.showNotification('No messages found in the selected date range.', 'success');
       return;
     }
 
-    const filename = window.SlackSnapUtils.generateFilename(channelName, config);
+    const { filename, directory } = result;
 
     chrome.runtime.sendMessage({
       action: 'DOWNLOAD_FILE',
-      data: { filename, content: result.markdown, directory: config.downloadDirectory }
+      data: { filename, content: result.content, mimeType: result.mimeType, directory }
     }, (res) => {
       if (res && res.success) {
-        window.SlackSnapUtils.showNotification(`✅ Exported ${result.messageCount} messages to ${filename}`, 'success');
+        const redacted = result.redactions ? `, ${result.redactions.total} redactions` : '';
+        window.SlackSnapUtils.showNotification(`✅ Exported ${result.messageCount} messages to ${filename}${redacted}`, 'success');
+        if (result.mapping) downloadPseudonymMapping(result.mapping, directory);
+        archiveExportResult(channelId, result);
       } else {
         window.SlackSnapUtils.showNotification(`❌ Download failed: ${res?.error || 'Unknown error'}`, 'error');
       }
@@ -881,153 +1514,385 @@ async function exportMessagesViaAPI() {
 }
 
 /**
- * Fetch specific users by their IDs (much more efficient!)
- * @param {Array<string>} userIds - Array of user IDs to fetch
+ * Save an export's pseudonym mapping file (see buildPseudonymMapping)
+ * @param {Object} mapping - { filename, content }
+ * @param {string} directory - Download folder the export went to
+ */
+function downloadPseudonymMapping(mapping, directory) {
+  chrome.runtime.sendMessage({
+    action: 'DOWNLOAD_FILE',
+    data: { filename: mapping.filename, content: mapping.content, mimeType: 'application/json', directory }
+  }, (res) => {
+    if (!res || !res.success) {
+      console.warn('⚠️ Could not save the pseudonym mapping:', res?.error || chrome.runtime.lastError?.message);
+    }
+  });
+}
+
+/**
+ * Keep a copy of the exported messages in the extension's local archive.
+ * The archive lives in the extension's IndexedDB, so the background worker
+ * writes it for us; a failure here never fails the export.
+ * @param {string} channelId - Slack channel ID
+ * @param {Object} result - exportChannelViaAPI result
+ */
+function archiveExportResult(channelId, result) {
+  chrome.runtime.sendMessage({
+    action: 'ARCHIVE_MESSAGES',
+    data: {
+      channelId,
+      channelName: result.channelName,
+      workspace: result.workspace,
+      users: result.users,
+      pseudonymized: !!result.mapping,
+      messages: result.messages
+    }
+  }, (res) => {
+    if (!res || !res.success) {
+      console.warn('⚠️ Could not archive exported messages:', res?.error || chrome.runtime.lastError?.message);
+    }
+  });
+}
+
+/**
+ * Collect the user, channel and user-group IDs a message refers to, from
+ * both the mrkdwn text and any rich_text blocks
+ * @param {Object} message - Raw API message
+ * @param {Object} refs - Sets to add to: { users, channels, usergroups, bots }
+ */
+function collectReferencedIds(message, refs) {
+  if (message.user) refs.users.add(message.user);
+  // Bot names usually ship in the message; only look up the ones that don't
+  if (message.bot_id && !message.username && !message.bot_profile?.name && refs.bots) {
+    refs.bots.add(message.bot_id);
+  }
+
+  const text = message.text || '';
+  for (const [, id] of text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) refs.users.add(id);
+  for (const [, id] of text.matchAll(/<#([A-Z0-9]+)(?:\|[^>]*)?>/g)) refs.channels.add(id);
+  for (const [, id] of text.matchAll(/<!subteam\^([A-Z0-9]+)(?:\|[^>]*)?>/g)) refs.usergroups.add(id);
+
+  const walk = (elements) => {
+    for (const element of elements || []) {
+      if (element.user_id) refs.users.add(element.user_id);
+      if (element.channel_id) refs.channels.add(element.channel_id);
+      if (element.usergroup_id) refs.usergroups.add(element.usergroup_id);
+      if (element.elements) walk(element.elements);
+    }
+  };
+  walk(message.blocks);
+}
+
+/**
+ * Channel, user-group and bot name lookups, cached per auth token so repeated
+ * batch exports don't re-query the same conversations
+ */
+const nameLookupCache = { token: null, channels: new Map(), usergroups: null, bots: new Map() };
+
+function getNameLookupCache(token) {
+  if (nameLookupCache.token !== token) {
+    nameLookupCache.token = token;
+    nameLookupCache.channels = new Map();
+    nameLookupCache.usergroups = null;
+    nameLookupCache.bots = new Map();
+  }
+  return nameLookupCache;
+}
+
+/**
+ * Resolve channel IDs to names via conversations.info
+ * @param {Array<string>} channelIds - Channel IDs to resolve
  * @param {string} token - Slack auth token
- * @returns {Promise<Object>} Map of user ID to display name
+ * @returns {Promise<Object>} Map of channel ID to name (unresolvable IDs omitted)
  */
-async function fetchSpecificUsers(userIds, token) {
-  try {
-    console.log(`👥 Fetching ${userIds.length} specific users...`);
-    const userMap = {};
-    
-    // Try to get users from conversations.members first (channel members)
-    try {
-      const channelId = getCurrentChannelId();
-      const channelMembers = await fetchChannelMembers(channelId, token);
-      console.log(`📋 Found ${channelMembers.length} channel members`);
-      
-      // Build map from channel members
-      for (const member of channelMembers) {
-        if (userIds.includes(member.id)) {
-          const displayName = member.real_name || 
-                             member.profile?.display_name || 
-                             member.profile?.real_name || 
-                             member.name || 
-                             'Unknown User';
-          userMap[member.id] = displayName;
+async function fetchChannelNames(channelIds, token) {
+  const cache = getNameLookupCache(token);
+  const names = {};
+
+  for (const channelId of channelIds) {
+    if (!cache.channels.has(channelId)) {
+      try {
+        const data = await window.SlackSnapAPI.call('conversations.info', { token, channel: channelId });
+        cache.channels.set(channelId, data.channel?.name || null);
+      } catch (error) {
+        if (!window.SlackSnapAPI.isPermanentError(error)) {
+          console.warn(`⚠️ Could not fetch channel ${channelId}:`, error);
+          continue;
         }
+        // Cache misses too (private channels we can't see) so we don't retry them
+        cache.channels.set(channelId, null);
+        console.log(`📋 Could not resolve channel ${channelId}: ${error.code}`);
       }
-    } catch (error) {
-      console.warn('⚠️ Could not fetch channel members, will use users.info instead');
     }
-    
-    // For any remaining users not found in channel members, fetch individually
-    const remainingUserIds = userIds.filter(id => !userMap[id]);
-    console.log(`🔍 Need to fetch ${remainingUserIds.length} users individually`);
-    
-    // Batch fetch users in groups of 10 to avoid rate limits
-    const batchSize = 10;
-    for (let i = 0; i < remainingUserIds.length; i += batchSize) {
-      const batch = remainingUserIds.slice(i, i + batchSize);
-      
-      for (const userId of batch) {
-        try {
-          const user = await fetchSingleUser(userId, token);
-          if (user) {
-            const displayName = user.real_name || 
-                               user.profile?.display_name || 
-                               user.profile?.real_name || 
-                               user.name || 
-                               'Unknown User';
-            userMap[userId] = displayName;
-          }
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.warn(`⚠️ Could not fetch user ${userId}:`, error);
-          userMap[userId] = 'Unknown User';
+
+    const name = cache.channels.get(channelId);
+    if (name) names[channelId] = name;
+  }
+
+  return names;
+}
+
+/**
+ * Resolve user-group IDs to their @handles via usergroups.list
+ * @param {string} token - Slack auth token
+ * @returns {Promise<Object>} Map of user-group ID to handle
+ */
+async function fetchUserGroupHandles(token) {
+  const cache = getNameLookupCache(token);
+  if (cache.usergroups) return cache.usergroups;
+
+  try {
+    const data = await window.SlackSnapAPI.call('usergroups.list', { token, include_disabled: 'true' });
+    cache.usergroups = {};
+    for (const group of data.usergroups || []) {
+      cache.usergroups[group.id] = group.handle || group.name;
+    }
+    console.log(`📋 Cached ${Object.keys(cache.usergroups).length} user groups`);
+  } catch (error) {
+    if (!window.SlackSnapAPI.isPermanentError(error)) {
+      console.warn('⚠️ Could not fetch user groups:', error);
+      return {};
+    }
+    console.log(`📋 User groups not available (${error.code})`);
+    cache.usergroups = {};
+  }
+
+  return cache.usergroups;
+}
+
+/**
+ * Resolve bot IDs to names via bots.info
+ * @param {Array<string>} botIds - Bot IDs to resolve
+ * @param {string} token - Slack auth token
+ * @returns {Promise<Object>} Map of bot ID to name (unresolvable IDs omitted)
+ */
+async function fetchBotNames(botIds, token) {
+  const cache = getNameLookupCache(token);
+  const names = {};
+
+  for (const botId of botIds) {
+    if (!cache.bots.has(botId)) {
+      try {
+        const data = await window.SlackSnapAPI.call('bots.info', { token, bot: botId });
+        cache.bots.set(botId, data.bot?.name || null);
+      } catch (error) {
+        if (!window.SlackSnapAPI.isPermanentError(error)) {
+          console.warn(`⚠️ Could not fetch bot ${botId}:`, error);
+          continue;
         }
-      }
-      
-      // Longer delay between batches
-      if (i + batchSize < remainingUserIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+        cache.bots.set(botId, null);
       }
     }
-    
-    console.log(`✅ Resolved ${Object.keys(userMap).length} users`);
-    return userMap;
+
+    const name = cache.bots.get(botId);
+    if (name) names[botId] = name;
+  }
+
+  return names;
+}
+
+/**
+ * Conversations for the channel browser: everything the user is a member of
+ * (users.conversations), optionally with the public channels they haven't
+ * joined (conversations.list)
+ * @param {Object} options - { workspace, includeNonMember } the team or Grid org ID whose session
+ *   to use (defaults to the tab's workspace), and whether to list unjoined public channels
+ * @returns {Promise<Object>} { workspace, conversations } workspace is the team ID listed;
+ *   conversations are { id, name, type ('channel'|'dm'|'group'), kind ('public'|'private'|'mpim'|'im'),
+ *   isMember, memberCount, lastActivity (Unix ms) }, most recently active first
+ */
+async function listConversations(options = {}) {
+  const auth = getSlackAuthToken(options.workspace || null);
+  const { token, teamId } = auth;
+  const api = window.SlackSnapAPI;
+
+  const joined = await api.paginate('users.conversations', {
+    token,
+    types: 'public_channel,private_channel,mpim,im',
+    exclude_archived: 'true',
+    limit: 200
+  }, { itemsKey: 'channels' });
+  const byId = new Map(joined.map(conv => [conv.id, { ...conv, is_member: true }]));
+
+  if (options.includeNonMember) {
+    const publicChannels = await api.paginate('conversations.list', {
+      token,
+      types: 'public_channel',
+      exclude_archived: 'true',
+      limit: 200
+    }, { itemsKey: 'channels' });
+    for (const conv of publicChannels) {
+      if (!byId.has(conv.id)) byId.set(conv.id, conv);
+    }
+  }
+
+  const activity = await fetchConversationActivity(token);
+  // One directory lookup for every DM partner, rather than one per DM
+  const dmUserIds = Array.from(byId.values(), conv => conv.user).filter(Boolean);
+  const dmUsers = await window.SlackSnapUsers.resolve(dmUserIds, auth);
+  const conversations = [];
+  for (const conv of byId.values()) {
+    const latest = activity.get(conv.id);
+    const kind = getConversationKind(conv);
+    conversations.push({
+      id: conv.id,
+      name: await getConversationDisplayName(conv, auth, dmUsers),
+      type: CONVERSATION_KIND_TYPES[kind],
+      kind,
+      isMember: !!conv.is_member,
+      memberCount: conv.num_members ?? (conv.is_im ? 2 : conv.is_mpim ? parseGroupDmHandles(conv.name).length || null : null),
+      lastActivity: latest ? Math.round(parseFloat(latest) * 1000) : null
+    });
+  }
+
+  conversations.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0) || a.name.localeCompare(b.name));
+  console.log(`📋 Listed ${conversations.length} conversations for the channel browser`);
+  return { workspace: teamId, conversations };
+}
+
+/**
+ * The conversation open in this tab, for Quick-add: its type and name come
+ * from conversations.info (so DMs are named after the other participants),
+ * falling back to the page title when Slack won't describe it
+ * @returns {Promise<Object>} { channelId, channelName, workspace, type ('channel'|'dm'|'group'),
+ *   kind ('public'|'private'|'mpim'|'im', null if unknown), archived, accessible, error }
+ *   accessible is false (with Slack's error code in error) when conversations.info failed
+ */
+async function describeCurrentConversation() {
+  const channelId = getCurrentChannelId();
+  const scrapedName = window.SlackSnapUtils ? window.SlackSnapUtils.extractChannelName() : null;
+  const workspace = getActiveTeamId(JSON.parse(localStorage.getItem('localConfig_v2') || '{}'));
+  const result = {
+    channelId,
+    channelName: scrapedName,
+    workspace,
+    type: channelId && channelId.startsWith('D') ? 'dm' : 'channel',
+    kind: null,
+    archived: false,
+    accessible: true,
+    error: null
+  };
+  if (!channelId) return result;
+
+  try {
+    const auth = getSlackAuthToken(workspace);
+    const data = await window.SlackSnapAPI.call('conversations.info', { token: auth.token, channel: channelId });
+    const conv = data.channel;
+    result.kind = getConversationKind(conv);
+    result.type = CONVERSATION_KIND_TYPES[result.kind];
+    result.archived = !!conv.is_archived;
+    result.channelName = await getConversationDisplayName(conv, auth);
   } catch (error) {
-    console.error('❌ Failed to fetch specific users:', error);
-    // Return empty map so export can continue with "Unknown User"
-    return {};
+    console.warn(`⚠️ Could not describe conversation ${channelId}:`, error);
+    result.accessible = false;
+    result.error = error.code || error.message;
   }
+  return result;
 }
 
+// Channel config `type` for each kind of conversation
+const CONVERSATION_KIND_TYPES = { public: 'channel', private: 'channel', mpim: 'group', im: 'dm' };
+
 /**
- * Fetch channel members (much faster than all users)
- * @param {string} channelId - Channel ID
+ * @param {Object} conv - Conversation object from the API
+ * @returns {string} 'public', 'private', 'mpim' or 'im'
+ */
+function getConversationKind(conv) {
+  if (conv.is_im) return 'im';
+  if (conv.is_mpim) return 'mpim';
+  return conv.is_private ? 'private' : 'public';
+}
+
+/**
+ * Newest message ts per conversation, from client.counts: the call Slack's own
+ * sidebar makes. It isn't part of the public API, so when it fails the
+ * browser just shows no activity.
  * @param {string} token - Slack auth token
- * @returns {Promise<Array>} Array of user objects who are members of this channel
+ * @returns {Promise<Map>} Conversation ID → Slack ts
  */
-async function fetchChannelMembers(channelId, token) {
+async function fetchConversationActivity(token) {
+  const latest = new Map();
   try {
-    console.log(`📋 Trying to fetch channel members for ${channelId}...`);
-    
-    const params = new URLSearchParams({
-      token: token,
-      channel: channelId,
-      limit: '1000'
-    });
-    
-    const response = await fetch('/api/conversations.members', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'X-Slack-No-Retry': '1'
-      },
-      body: params.toString()
-    });
-    
-    const data = await response.json();
-    if (!data.ok) {
-      console.log(`📋 Channel members not available (${data.error}), will fetch users individually`);
-      return [];
+    const data = await window.SlackSnapAPI.call('client.counts', { token });
+    for (const conv of [...(data.channels || []), ...(data.mpims || []), ...(data.ims || [])]) {
+      if (conv.latest) latest.set(conv.id, conv.latest);
     }
-    
-    const memberIds = data.members || [];
-    console.log(`📋 Found ${memberIds.length} channel member IDs`);
-    
-    // For channel members, we still need their profile info
-    // Just return empty array to skip this optimization and use individual fetching
-    // (which is still very fast for small numbers of users)
-    return [];
-    
   } catch (error) {
-    console.log(`📋 Channel members API not accessible, using individual user lookup`);
-    return [];
+    console.log(`📋 Last activity not available (${error.code || error.message})`);
   }
+  return latest;
 }
 
 /**
- * Fetch a single user by ID
- * @param {string} userId - User ID
- * @param {string} token - Slack auth token
- * @returns {Promise<Object|null>} User object or null
+ * Name to show for a conversation: the channel name, the other person's
+ * display name for a DM, or the members' handles for a group DM
+ * @param {Object} conv - Conversation object from the API
+ * @param {Object} auth - { token, teamId } from getSlackAuthToken()
+ * @param {Object} users - Map of user ID to directory entry already resolved for DMs (optional)
+ * @returns {Promise<string>} Name
  */
-async function fetchSingleUser(userId, token) {
-  const params = new URLSearchParams({
-    token: token,
-    user: userId
-  });
-  
-  const response = await fetch('/api/users.info', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'X-Slack-No-Retry': '1'
-    },
-    body: params.toString()
-  });
-  
-  const data = await response.json();
-  if (!data.ok) {
-    throw new Error(`users.info API failed: ${data.error}`);
+async function getConversationDisplayName(conv, auth, users = null) {
+  if (conv.is_mpim) {
+    return parseGroupDmHandles(conv.name).join(', ') || conv.name || conv.id;
+  }
+  if (!conv.is_im) {
+    return conv.name || conv.id;
+  }
+
+  const user = users ? users[conv.user] : (await window.SlackSnapUsers.resolve([conv.user], auth))[conv.user];
+  return (user && (user.displayName || user.realName || user.handle)) || conv.user;
+}
+
+/**
+ * Member handles from a group DM's generated name, "mpdm-alice--bob--carol-1"
+ * @param {string} name - Conversation name
+ * @returns {Array<string>} Handles
+ */
+function parseGroupDmHandles(name) {
+  const match = (name || '').match(/^mpdm-(.+)-\d+$/);
+  return match ? match[1].split('--').filter(Boolean) : [];
+}
+
+/**
+ * Names for the users an export refers to, from the user directory
+ * @param {Array<string>} userIds - User IDs
+ * @param {Object} auth - { token, teamId } from getSlackAuthToken()
+ * @param {Object} config - Configuration object (for userDirectoryTtlHours and nameDisplay)
+ * @returns {Promise<Object>} Map of user ID to display name (unresolvable IDs omitted)
+ */
+async function fetchSpecificUsers(userIds, auth, config) {
+  try {
+    const users = await window.SlackSnapUsers.resolve(userIds, { ...auth, ttlHours: config.userDirectoryTtlHours });
+    const userMap = {};
+    for (const [id, user] of Object.entries(users)) {
+      userMap[id] = window.SlackSnapUsers.getUserName(user, config.nameDisplay);
+    }
+    console.log(`✅ Resolved ${Object.keys(userMap).length} of ${userIds.length} users`);
+    return userMap;
+  } catch (error) {
+    console.error('❌ Failed to fetch specific users:', error);
+    // Return empty map so export can continue with "Unknown User"
+    return {};
   }
-  
-  return data.user;
+}
+
+/**
+ * The file that turns an export's pseudonyms back into people, saved beside
+ * it. It only lists the people in this export, so it gives away nobody else
+ * the workspace has pseudonymised.
+ * @param {string} teamId - Team ID
+ * @param {Object} pseudonyms - The export's pseudonyms (person key to pseudonym)
+ * @param {string} filename - Export filename
+ * @returns {Promise<Object>} { filename, content }
+ */
+async function buildPseudonymMapping(teamId, pseudonyms, filename) {
+  const inExport = new Set(Object.values(pseudonyms));
+  const people = (await window.SlackSnapUsers.getPseudonymTable(teamId))
+    .filter(person => inExport.has(person.pseudonym));
+  return {
+    filename: filename.replace(/\.[^./]*$/, '') + '.pseudonyms.json',
+    content: JSON.stringify({ workspace: teamId, generatedAt: new Date().toISOString(), people }, null, 2)
+  };
 }
 
 /**
@@ -1035,160 +1900,158 @@ async function fetchSingleUser(userId, token) {
  * @param {string} channelId - Channel ID
  * @param {number} oldestUnix - Oldest timestamp to fetch (Unix timestamp)
  * @param {string} token - Slack auth token
+ * @param {number|null} latestUnix - Newest timestamp to fetch (Unix timestamp); null for "now"
+ * @param {Object|null} checkpoint - Batch job checkpoint to resume from and save each page to
  * @returns {Promise<Array>} Array of message objects
  */
-async function getMessagesViaHistoryAPI(channelId, oldestUnix, token) {
-  try {
-    console.log(`📥 Fetching messages for channel ${channelId} since ${new Date(oldestUnix * 1000).toISOString()}`);
-    
-    let allMessages = [];
-    let cursor = '';
-    let hasMore = true;
-    let pageCount = 0;
-    
-    while (hasMore) {
+async function getMessagesViaHistoryAPI(channelId, oldestUnix, token, latestUnix = null, checkpoint = null) {
+  console.log(`📥 Fetching messages for channel ${channelId} since ${new Date(oldestUnix * 1000).toISOString()}`);
+  const earlier = checkpoint ? checkpoint.messages : [];
+  if (checkpoint && checkpoint.complete) return earlier;
+  if (checkpoint) throwIfStopped(checkpoint.jobId);
+
+  let pageCount = checkpoint ? checkpoint.pageCount : 0;
+  const fetched = await window.SlackSnapAPI.paginate('conversations.history', {
+    token,
+    channel: channelId,
+    limit: 200,
+    oldest: oldestUnix,
+    latest: latestUnix,
+    inclusive: 'true'
+  }, {
+    itemsKey: 'messages',
+    cursor: checkpoint ? checkpoint.cursor : '',
+    onPage: async (pageMessages, nextCursor) => {
       pageCount++;
-      
-      // Add delay between requests to avoid rate limiting (except for first request)
-      if (pageCount > 1) {
-        console.log('⏱️ Waiting 1 second to avoid rate limiting...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      
-      const params = new URLSearchParams({
-        token: token,
-        channel: channelId,
-        limit: '100', // Reduced from 200 to be more gentle
-        oldest: oldestUnix.toString(),
-        inclusive: 'true'
-      });
-      
-      if (cursor) {
-        params.append('cursor', cursor);
-      }
-      
-      // Retry logic for rate limiting
-      let retryCount = 0;
-      let success = false;
-      
-      while (!success && retryCount < 3) {
-        try {
-          const response = await fetch('/api/conversations.history', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded',
-              'X-Slack-No-Retry': '1'
-            },
-            body: params.toString()
-          });
-          
-          const data = await response.json();
-          
-          if (!data.ok) {
-            if (data.error === 'ratelimited') {
-              retryCount++;
-              const waitTime = Math.pow(2, retryCount) * 2000; // Exponential backoff
-              console.log(`⏳ Rate limited on message page ${pageCount}, waiting ${waitTime/1000}s before retry ${retryCount}/3...`);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              continue;
-            } else {
-              throw new Error(`conversations.history API failed: ${data.error}`);
-            }
-          }
-          
-          const pageMessages = data.messages || [];
-          allMessages = allMessages.concat(pageMessages);
-          hasMore = data.has_more;
-          cursor = data.response_metadata?.next_cursor || '';
-          
-          console.log(`📨 Page ${pageCount}: Fetched ${pageMessages.length} messages (total: ${allMessages.length})`);
-          success = true;
-          
-        } catch (fetchError) {
-          retryCount++;
-          if (retryCount >= 3) {
-            throw fetchError;
-          }
-          const waitTime = Math.pow(2, retryCount) * 1000;
-          console.log(`🔄 Message fetch error on page ${pageCount}, retrying in ${waitTime/1000}s... (${retryCount}/3)`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-      
-      if (!success) {
-        throw new Error(`Failed to fetch message page ${pageCount} after 3 retries`);
+      console.log(`📨 Page ${pageCount}: Fetched ${pageMessages.length} messages`);
+      if (checkpoint) {
+        await saveCheckpointPage(checkpoint, pageMessages, nextCursor, !nextCursor);
+        if (nextCursor) throwIfStopped(checkpoint.jobId);
       }
     }
-    
-    console.log(`✅ Total messages fetched: ${allMessages.length} across ${pageCount} pages`);
-    return allMessages;
-  } catch (error) {
-    console.error('❌ Failed to fetch messages:', error);
-    throw error;
-  }
+  });
+
+  const allMessages = earlier.concat(fetched);
+  console.log(`✅ Total messages fetched: ${allMessages.length} across ${pageCount} pages`);
+  return allMessages;
 }
 
 /**
- * Fetch thread replies for a message with retry logic and rate limiting
+ * Fetch thread replies for a message
  * @param {string} channelId - Channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {number} oldestUnix - Oldest timestamp to fetch
  * @param {string} token - Slack auth token
- * @param {number} retryCount - Current retry attempt (internal use)
- * @returns {Promise<Array>} Array of reply message objects
+ * @param {number|null} latestUnix - Newest timestamp to fetch; null for "now"
+ * @returns {Promise<Array>} Array of reply message objects (the parent included), or an
+ *   empty array if they couldn't be fetched
  */
-async function fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount = 0) {
-  const maxRetries = 3;
-  
+async function fetchThreadReplies(channelId, threadTs, oldestUnix, token, latestUnix = null) {
   try {
-    console.log(`🧵 Fetching thread replies for ${threadTs}${retryCount > 0 ? ` (retry ${retryCount}/${maxRetries})` : ''}`);
-    
-    const params = new URLSearchParams({
-      token: token,
+    console.log(`🧵 Fetching thread replies for ${threadTs}`);
+    const replies = await window.SlackSnapAPI.paginate('conversations.replies', {
+      token,
       channel: channelId,
       ts: threadTs,
-      limit: '200',
-      oldest: oldestUnix.toString()
-    });
-    
-    const response = await fetch('/api/conversations.replies', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'X-Slack-No-Retry': '1'
-      },
-      body: params.toString()
-    });
-    
-    const data = await response.json();
-    
-    if (!data.ok) {
-      // Handle rate limiting with exponential backoff
-      if (data.error === 'ratelimited' && retryCount < maxRetries) {
-        const retryAfter = data.response_metadata?.retry_after || Math.pow(2, retryCount) * 2;
-        console.log(`⏳ Rate limited, waiting ${retryAfter}s before retry ${retryCount + 1}/${maxRetries}...`);
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        return fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount + 1);
-      }
-      throw new Error(`conversations.replies API failed: ${data.error}`);
-    }
-    
-    console.log(`✅ Found ${data.messages?.length || 0} thread replies`);
-    return data.messages || [];
+      limit: 200,
+      oldest: oldestUnix,
+      latest: latestUnix
+    }, { itemsKey: 'messages' });
+
+    console.log(`✅ Found ${replies.length} thread replies`);
+    return replies;
   } catch (error) {
-    // If it's a rate limit error and we haven't exhausted retries, try again
-    if (error.message.includes('ratelimited') && retryCount < maxRetries) {
-      const waitTime = Math.pow(2, retryCount) * 2;
-      console.log(`⏳ Rate limit error, waiting ${waitTime}s before retry ${retryCount + 1}/${maxRetries}...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-      return fetchThreadReplies(channelId, threadTs, oldestUnix, token, retryCount + 1);
-    }
-    
     console.error('❌ Failed to fetch thread replies:', error);
     return []; // Return empty array on error to avoid breaking the export
   }
 }
 
+/**
+ * Batch job checkpoints. While a job exports a channel, its progress goes to
+ * chrome.storage.local as it happens: the history cursor after every page,
+ * and each page's messages and each thread's replies under keys of their own
+ * (so saving stays cheap on long channels). A paused or failed job then
+ * picks up where it stopped instead of fetching everything again.
+ * src/jobs.js deletes them once the job no longer needs them.
+ *
+ * Keys: checkpoint:<jobId>:<channelId> { jobId, channelId, oldestUnix, latestUnix, cursor,
+ *   pageCount, complete, threads: [thread_ts] }, plus :page:<n> and :thread:<ts> under it
+ */
+const CHECKPOINT_KEY_PREFIX = 'checkpoint:';
+
+function checkpointKey(jobId, channelId, part = '') {
+  return `${CHECKPOINT_KEY_PREFIX}${jobId}:${channelId}${part ? `:${part}` : ''}`;
+}
+
+function createCheckpoint(jobId, channelId, oldestUnix, latestUnix) {
+  return {
+    jobId, channelId, oldestUnix, latestUnix,
+    cursor: '', pageCount: 0, complete: false, threads: [],
+    messages: [], replies: new Map()
+  };
+}
+
+/**
+ * Load a channel's checkpoint with its saved pages and thread replies
+ * @param {string} jobId - Batch job ID
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<Object|null>} Checkpoint, or null to start from scratch
+ */
+async function loadCheckpoint(jobId, channelId) {
+  try {
+    const key = checkpointKey(jobId, channelId);
+    const state = (await chrome.storage.local.get(key))[key];
+    if (!state) return null;
+
+    const pageKeys = Array.from({ length: state.pageCount }, (_, i) => checkpointKey(jobId, channelId, `page:${i + 1}`));
+    const threadKeys = state.threads.map(ts => checkpointKey(jobId, channelId, `thread:${ts}`));
+    const parts = await chrome.storage.local.get([...pageKeys, ...threadKeys]);
+
+    return {
+      ...state,
+      messages: pageKeys.flatMap(pageKey => parts[pageKey] || []),
+      replies: new Map(state.threads.map((ts, i) => [ts, parts[threadKeys[i]] || []]))
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not load export checkpoint, starting over:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a fetched history page and the cursor for the next one. Saving is
+ * best effort: a full storage area costs the ability to resume, not the export.
+ */
+async function saveCheckpointPage(checkpoint, pageMessages, cursor, complete) {
+  checkpoint.cursor = cursor;
+  checkpoint.pageCount++;
+  checkpoint.complete = complete;
+  await writeCheckpoint(checkpoint, { [checkpointKey(checkpoint.jobId, checkpoint.channelId, `page:${checkpoint.pageCount}`)]: pageMessages });
+}
+
+async function saveCheckpointThread(checkpoint, threadTs, replies) {
+  checkpoint.threads.push(threadTs);
+  checkpoint.replies.set(threadTs, replies);
+  await writeCheckpoint(checkpoint, { [checkpointKey(checkpoint.jobId, checkpoint.channelId, `thread:${threadTs}`)]: replies });
+}
+
+async function writeCheckpoint(checkpoint, parts) {
+  const { messages, replies, ...state } = checkpoint;
+  try {
+    // One set() call, so the state never points at a part that wasn't written
+    await chrome.storage.local.set({ ...parts, [checkpointKey(checkpoint.jobId, checkpoint.channelId)]: state });
+  } catch (error) {
+    console.warn('⚠️ Could not save export checkpoint:', error);
+  }
+}
+
+function throwIfStopped(jobId) {
+  if (!stoppedJobs.has(jobId)) return;
+  const error = new Error('Export stopped');
+  error.stopped = true;
+  throw error;
+}
+
 console.log('🚀 SlackSnap content script loaded');
 console.log('📍 Current page:', window.location.href);
 console.log('📄 Page title:', document.title);
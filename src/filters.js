@@ -0,0 +1,187 @@
+/**
+ * Message filters for SlackSnap exports
+ *
+ * A filter set (see MESSAGE_FILTER_FIELDS in config.js) picks which messages
+ * an API export keeps: by author, by keyword or regex, by subtype, by thread
+ * size, by reaction, or only the ones that mention you. A batch export can
+ * have one set for the whole run and one per channel; a message has to pass
+ * both. Filters look at top-level messages, and a thread goes with its parent.
+ *
+ * Each message left out is counted against the first filter that rejected
+ * it, so the popup can say what removed what.
+ */
+
+/**
+ * Filters in the order they're checked, with how the popup summary
+ * describes the messages each one removed
+ */
+const MESSAGE_FILTERS = {
+  skipBots: 'bot messages',
+  skipSystem: 'system messages',
+  onlyUsers: 'from other people',
+  exceptUsers: 'from excluded people',
+  includeText: 'without a keyword',
+  excludeText: 'with an excluded keyword',
+  minReplies: 'with too few replies',
+  reaction: 'without the reaction',
+  mentionsMe: 'not mentioning you'
+};
+
+/**
+ * Whether a filter set has anything switched on
+ * @param {Object|null} filters - Filter set
+ * @returns {boolean}
+ */
+function hasMessageFilters(filters) {
+  if (!filters) return false;
+  return Object.keys(MESSAGE_FILTERS).some((field) => {
+    const value = filters[field];
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  });
+}
+
+/**
+ * Whether any set filters by author, so senders need looking up first
+ * @param {Array<Object>} sets - Filter sets
+ * @returns {boolean}
+ */
+function needsAuthors(sets) {
+  return sets.some(filters => (filters.onlyUsers || []).length > 0 || (filters.exceptUsers || []).length > 0);
+}
+
+/**
+ * Build a message filter from one or more filter sets
+ * @param {Array<Object>} sets - Filter sets; empty ones are ignored
+ * @param {Object} context - { people, myUserId, isSystem } people maps user IDs to directory
+ *   entries (for author filters by handle or name), myUserId is whose mentions count, and
+ *   isSystem(apiMsg) tells system notices apart
+ * @returns {Object} { keep, removed } keep(apiMsg) → boolean, counting what it rejects in
+ *   removed (filter → messages)
+ */
+function createMessageFilter(sets, context) {
+  const checks = sets.filter(hasMessageFilters).map(filters => compileFilterSet(filters, context));
+  const removed = {};
+
+  const keep = (apiMsg) => {
+    for (const check of checks) {
+      const rejectedBy = check(apiMsg);
+      if (rejectedBy) {
+        removed[rejectedBy] = (removed[rejectedBy] || 0) + 1;
+        return false;
+      }
+    }
+    return true;
+  };
+
+  return { keep, removed };
+}
+
+/**
+ * @returns {Function} check(apiMsg) → the name of the first filter the message fails, or null
+ */
+function compileFilterSet(filters, { people = {}, myUserId = null, isSystem = () => false }) {
+  const only = (filters.onlyUsers || []).length > 0 ? filters.onlyUsers.map(toUserMatcher) : null;
+  const except = (filters.exceptUsers || []).map(toUserMatcher);
+  const include = (filters.includeText || []).length > 0 ? filters.includeText.map(toTextMatcher) : null;
+  const exclude = (filters.excludeText || []).map(toTextMatcher);
+  const reaction = filters.reaction ? normalizeReactionName(filters.reaction) : null;
+
+  return (apiMsg) => {
+    const author = people[apiMsg.user] || { id: apiMsg.user };
+    const text = apiMsg.text || '';
+
+    if (filters.skipBots && (!!apiMsg.bot_id || apiMsg.subtype === 'bot_message' || !!author.bot)) return 'skipBots';
+    if (filters.skipSystem && isSystem(apiMsg)) return 'skipSystem';
+    if (only && !only.some(matches => matches(author))) return 'onlyUsers';
+    if (except.some(matches => matches(author))) return 'exceptUsers';
+    if (include && !include.some(matches => matches(text))) return 'includeText';
+    if (exclude.some(matches => matches(text))) return 'excludeText';
+    if (filters.minReplies > 0 && (apiMsg.reply_count || 0) < filters.minReplies) return 'minReplies';
+    if (reaction && !(apiMsg.reactions || []).some(r => normalizeReactionName(r.name) === reaction)) return 'reaction';
+    if (filters.mentionsMe && !mentionsUser(apiMsg, myUserId)) return 'mentionsMe';
+    return null;
+  };
+}
+
+/**
+ * A user ID matches exactly; "@handle" matches the handle; anything else
+ * matches a handle, display name or full name, ignoring case
+ */
+function toUserMatcher(entry) {
+  const wanted = entry.trim();
+  if (/^[UW][A-Z0-9]{6,}$/.test(wanted)) return user => user.id === wanted;
+
+  const name = wanted.replace(/^@/, '').toLowerCase();
+  const fields = wanted.startsWith('@') ? ['handle'] : ['handle', 'displayName', 'realName'];
+  return user => fields.some(field => (user[field] || '').toLowerCase() === name);
+}
+
+/**
+ * Text in slashes is a regular expression (/deploy(ed)?/i); anything else
+ * is a case-insensitive substring
+ */
+function toTextMatcher(entry) {
+  const match = entry.match(TEXT_PATTERN_SYNTAX);
+  if (match) {
+    // Without the g flag, test() doesn't carry lastIndex from one message to the next
+    const pattern = new RegExp(match[1], match[2].replace('g', ''));
+    return text => pattern.test(text);
+  }
+  const needle = entry.toLowerCase();
+  return text => text.toLowerCase().includes(needle);
+}
+
+// ":+1::skin-tone-3:" and "+1" are the same reaction
+function normalizeReactionName(name) {
+  return name.replace(/^:|:$/g, '').split('::')[0].toLowerCase();
+}
+
+/**
+ * Whether a message @mentions a user, in its text or its rich text blocks
+ */
+function mentionsUser(apiMsg, userId) {
+  if (!userId) return false;
+  // "<@U123>" or "<@U123|name>", but not "<@U1234>"
+  const text = apiMsg.text || '';
+  if (text.includes(`<@${userId}>`) || text.includes(`<@${userId}|`)) return true;
+  return !!apiMsg.blocks && JSON.stringify(apiMsg.blocks).includes(`"user_id":"${userId}"`);
+}
+
+/**
+ * Add up removal counts from several exports
+ * @param {Array<Object|null>} counts - removed from createMessageFilter(), or null
+ * @returns {Object|null} Totals by filter, or null when nothing was filtered
+ */
+function sumFilterCounts(counts) {
+  const totals = {};
+  for (const removed of counts) {
+    for (const [filter, count] of Object.entries(removed || {})) {
+      totals[filter] = (totals[filter] || 0) + count;
+    }
+  }
+  return Object.keys(totals).length > 0 ? totals : null;
+}
+
+/**
+ * "12 bot messages, 3 without a keyword" for the popup summary
+ * @param {Object} removed - Messages removed by filter
+ * @returns {string} Description, in filter order
+ */
+function describeFilterCounts(removed) {
+  return Object.keys(MESSAGE_FILTERS)
+    .filter(filter => removed[filter] > 0)
+    .map(filter => `${removed[filter]} ${MESSAGE_FILTERS[filter]}`)
+    .join(', ');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapFilters = {
+    MESSAGE_FILTERS,
+    create: createMessageFilter,
+    hasFilters: hasMessageFilters,
+    needsAuthors,
+    sumCounts: sumFilterCounts,
+    describeCounts: describeFilterCounts
+  };
+}
@@ -0,0 +1,752 @@
+/**
+ * Export formatters for SlackSnap
+ *
+ * Every output format is a formatter in a small registry. A formatter turns
+ * the enriched message model built by the content script into file content:
+ *
+ *   {
+ *     label: 'Markdown',          // shown in options and the popup
+ *     extension: 'md',            // replaces the filename template's extension
+ *     mimeType: 'text/markdown',
+ *     render(messages, meta, config) → string
+ *     renderCombined(sections, meta, config) → string   // sections: [{ channelName, channelId, messages }]
+ *   }
+ *
+ * `meta` carries { channelName, channelId, exportedAt, range, redactions }, where
+ * range is the export window { oldest, latest } in Unix seconds (absent for DOM
+ * exports) and redactions is { total, byRule } when redaction was on (see
+ * src/redact.js). Formats with a header report the redaction counts there.
+ * Human-readable times follow config's timeZone, timeFormat and
+ * relativeDayLabels (see formatTimestamp); JSON and CSV keep UTC ISO-8601.
+ */
+
+const FORMATTERS = {};
+
+/**
+ * Register an output format
+ * @param {string} id - Format identifier stored in config (e.g. "markdown")
+ * @param {Object} formatter - Formatter definition (see above)
+ */
+function registerFormatter(id, formatter) {
+  FORMATTERS[id] = { id, ...formatter };
+}
+
+/**
+ * Look up a formatter, falling back to Markdown for unknown ids
+ * @param {string} id - Format identifier
+ * @returns {Object} Formatter
+ */
+function getFormatter(id) {
+  return FORMATTERS[id] || FORMATTERS.markdown;
+}
+
+/**
+ * @returns {Array<Object>} All registered formatters, in registration order
+ */
+function listFormatters() {
+  return Object.values(FORMATTERS);
+}
+
+// ── Markdown ───────────────────────────────────────────────────────
+
+/**
+ * Convert messages to markdown format
+ * @param {Array<Object>} messages - Array of message objects
+ * @param {string} channelName - Channel name
+ * @param {Object} config - Configuration object
+ * @param {Object} range - Optional export window { oldest, latest } in Unix seconds
+ * @param {Object} redactions - Optional redaction counts { total, byRule }
+ * @returns {string} Markdown content
+ */
+function convertToMarkdown(messages, channelName, config, range = null, redactions = null) {
+  let markdown = `# SlackSnap Export: ${channelName}\n`;
+  markdown += `*Exported: ${formatExportedAt(new Date(), config)}*\n`;
+  if (range) {
+    markdown += `*Range: ${formatRangeLabel(range, config)}*\n`;
+  }
+  if (redactions) {
+    markdown += `*Redactions: ${formatRedactionSummary(redactions)}*\n`;
+  }
+  markdown += `\n`;
+  markdown += `---\n\n`;
+  
+  return markdown + renderMarkdownMessages(messages, config);
+}
+
+/**
+ * Render the message list portion of a Markdown export (no header)
+ * @param {Array<Object>} messages - Array of message objects
+ * @param {Object} config - Configuration object
+ * @returns {string} Markdown content
+ */
+function renderMarkdownMessages(messages, config) {
+  let markdown = '';
+
+  for (const message of messages) {
+    // System messages (joins, topic changes, ...) render as a single line
+    if (message.isSystem) {
+      markdown += `_${message.content}_`;
+      if (config.includeTimestamps && message.timestamp) {
+        markdown += ` (${formatTimestamp(message.timestamp, config)})`;
+      }
+      markdown += `\n\n`;
+      continue;
+    }
+
+    // Add sender, timestamp and badges
+    if (message.sender) {
+      markdown += formatSenderLine(message, config) + `:\n`;
+    }
+    
+    // Add message content
+    if (message.content) {
+      markdown += `${message.content}\n\n`;
+    }
+
+    // Add attachments (images embedded, other files linked)
+    if (message.files && message.files.length > 0) {
+      markdown += formatAttachments(message.files).join('\n') + '\n\n';
+    }
+
+    if (message.reactions && message.reactions.length > 0) {
+      markdown += formatReactions(message.reactions) + '\n\n';
+    }
+    
+    // Add thread replies if enabled
+    if (config.includeThreadReplies && message.threadReplies.length > 0) {
+      markdown += `**Thread Replies:**\n\n`;
+      for (const reply of message.threadReplies) {
+        markdown += '- ';
+        if (reply.sender) {
+          markdown += formatSenderLine(reply, { ...config, includeTimestamps: false }) + ':';
+        }
+        const replyBody = [
+          reply.isSystem ? `_${reply.content}_` : reply.content,
+          ...formatAttachments(reply.files || []),
+          reply.reactions && reply.reactions.length > 0 ? formatReactions(reply.reactions) : ''
+        ].filter(Boolean).join('\n');
+        if (replyBody) {
+          // Multi-line replies (code, lists) start on their own line, indented
+          // under the list item so fences and nesting survive
+          markdown += replyBody.includes('\n')
+            ? `\n${replyBody.replace(/^/gm, '  ')}\n`
+            : ` ${replyBody}\n`;
+        } else {
+          markdown += `\n`;
+        }
+      }
+      markdown += `\n`;
+    }
+  }
+  
+  return markdown;
+}
+
+/**
+ * Render the bold sender name with bot, timestamp, edited and pin markers
+ * @param {Object} message - Enriched message
+ * @param {Object} config - Configuration object
+ * @returns {string} Sender line without the trailing colon
+ */
+function formatSenderLine(message, config) {
+  let line = `**${window.SlackSnapUtils.escapeMarkdown(message.sender)}**`;
+  if (message.isBot) line += ' [bot]';
+  if (config.includeTimestamps && message.timestamp) {
+    line += ` (${formatTimestamp(message.timestamp, config)})`;
+  }
+  if (message.edited) line += ' _(edited)_';
+  if (message.pinned) line += ' 📌';
+  return line;
+}
+
+/**
+ * Render reactions as a single line, e.g. `:+1: 3 · :tada: 1`
+ * @param {Array<Object>} reactions - [{ name, count }]
+ * @returns {string} Reactions line
+ */
+function formatReactions(reactions) {
+  return '_Reactions:_ ' + reactions.map(r => `:${r.name}: ${r.count}`).join(' · ');
+}
+
+/**
+ * Render attachment descriptions as Markdown lines
+ * @param {Array<Object>} files - Files from createAttachmentCollector
+ * @returns {Array<string>} One Markdown line per file
+ */
+function formatAttachments(files) {
+  return files.map(file => {
+    if (file.unavailable) return `📎 _${file.name} (file unavailable)_`;
+    const href = file.href.includes(' ') ? `<${file.href}>` : file.href;
+    return file.isImage
+      ? `![${file.title}](${href})`
+      : `📎 [${file.name}](${href})`;
+  });
+}
+
+/**
+ * Format a timestamp for display, in the configured time zone and clock
+ * @param {string|Date} timestamp - Slack ts, ISO string, permalink-style "p1753160757", or a Date
+ * @param {Object} config - Configuration object (timeZone, timeFormat, relativeDayLabels); without
+ *   them, the browser's zone on a 12-hour clock
+ * @returns {string} e.g. "Jul 22, 2025 5:05 PM", "Yesterday 17:05" or "2025-07-22T17:05:57+01:00";
+ *   the original text when it isn't a moment (a time of day on its own, say)
+ */
+function formatTimestamp(timestamp, config = {}) {
+  try {
+    const date = timestamp instanceof Date ? timestamp : parseTimestamp(timestamp);
+    if (!date) return timestamp;
+
+    const timeZone = getDisplayTimeZone(config);
+    const parts = window.SlackSnapUtils.getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    if (config.timeFormat === 'iso') {
+      const offset = window.SlackSnapUtils.getTimeZoneOffset(date, timeZone);
+      const sign = offset < 0 ? '-' : '+';
+      return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+        `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    const time = config.timeFormat === '24h'
+      ? `${pad(parts.hour)}:${pad(parts.minute)}`
+      : `${parts.hour % 12 || 12}:${pad(parts.minute)} ${parts.hour >= 12 ? 'PM' : 'AM'}`;
+    return `${formatDayLabel(parts, timeZone, config.relativeDayLabels)} ${time}`;
+  } catch (error) {
+    return timestamp;
+  }
+}
+
+/**
+ * Read the timestamps the two export paths produce
+ * @param {string} timestamp - Raw timestamp
+ * @returns {Date|null} Moment, or null when the text doesn't say which one
+ */
+function parseTimestamp(timestamp) {
+  let date = null;
+
+  // Handle API timestamps (ISO format from our conversion)
+  if (timestamp && typeof timestamp === 'string' && timestamp.includes('T')) {
+    date = new Date(timestamp);
+  }
+  // Handle raw Unix timestamps from API (like "1753160757.123400" or with varying decimals)
+  else if (timestamp && /^\d{10}(\.\d+)?$/.test(timestamp)) {
+    date = new Date(parseFloat(timestamp) * 1000);
+  }
+  // Try parsing Slack's permalink timestamp formats
+  else if (timestamp && String(timestamp).includes('p')) {
+    const match = String(timestamp).match(/p(\d{10})\d*/);
+    if (match) {
+      date = new Date(parseInt(match[1]) * 1000);
+    }
+  }
+  // Try parsing as regular timestamp
+  else if (!date || isNaN(date.getTime())) {
+    date = new Date(timestamp);
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    // A time of day on its own ("5:05 PM") is left as it is: the DOM export
+    // dates them from the day dividers, so one that gets here had none
+    if (/(\d{1,2}):(\d{2})\s*(AM|PM)?/i.test(String(timestamp))) {
+      console.log('⚠️ Found time-only format without date context:', timestamp);
+    } else {
+      console.warn('⚠️ Could not parse timestamp:', timestamp);
+    }
+    return null;
+  }
+  return date;
+}
+
+const SHORT_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * "Jul 22, 2025", or with relative labels "Today" and "Yesterday" (counted
+ * from when the file is rendered, in the same zone)
+ */
+function formatDayLabel(parts, timeZone, relative) {
+  if (relative) {
+    const today = window.SlackSnapUtils.getZonedParts(new Date(), timeZone);
+    const daysAgo = Math.round(
+      (Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(parts.year, parts.month - 1, parts.day)) / 86400000
+    );
+    if (daysAgo === 0) return 'Today';
+    if (daysAgo === 1) return 'Yesterday';
+  }
+  return `${SHORT_MONTH_NAMES[parts.month - 1]} ${parts.day}, ${parts.year}`;
+}
+
+/**
+ * The IANA zone timestamps are shown in, or '' for the browser's. The
+ * content script swaps "profile" for the signed-in user's zone before
+ * rendering; anywhere it can't, the browser's zone stands in.
+ * @param {Object} config - Configuration object
+ * @returns {string} Zone name
+ */
+function getDisplayTimeZone(config) {
+  return config.timeZone && config.timeZone !== 'profile' ? config.timeZone : '';
+}
+
+/**
+ * When a file was exported, for its header: "Jul 22, 2025 5:05 PM (Europe/London)"
+ * @param {Date} date - Export time
+ * @param {Object} config - Configuration object
+ * @returns {string} Label, naming the zone its times are in
+ */
+function formatExportedAt(date, config) {
+  const timeZone = getDisplayTimeZone(config) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return `${formatTimestamp(date, { ...config, relativeDayLabels: false })} (${timeZone})`;
+}
+
+registerFormatter('markdown', {
+  label: 'Markdown',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  render: (messages, meta, config) => convertToMarkdown(messages, meta.channelName, config, meta.range, meta.redactions),
+  renderCombined: (sections, meta, config) => {
+    let markdown = `# SlackSnap Combined Export\n*Exported: ${formatExportedAt(meta.exportedAt, config)}*\n`;
+    if (meta.redactions) {
+      markdown += `*Redactions: ${formatRedactionSummary(meta.redactions)}*\n`;
+    }
+    for (const section of sections) {
+      markdown += `\n\n---\n\n## ${section.channelName}\n\n` + renderMarkdownMessages(section.messages, config);
+    }
+    return markdown;
+  }
+});
+
+// ── JSON ───────────────────────────────────────────────────────────
+
+/**
+ * Structured export: the full enriched message model, thread replies included
+ */
+registerFormatter('json', {
+  label: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  render: (messages, meta) => JSON.stringify({
+    channel: { id: meta.channelId || null, name: meta.channelName },
+    exportedAt: meta.exportedAt.toISOString(),
+    range: meta.range ? { oldest: timestampToIso(meta.range.oldest), latest: timestampToIso(meta.range.latest) } : null,
+    redactions: meta.redactions || null,
+    messageCount: messages.length,
+    messages: messages.map(toJsonMessage)
+  }, null, 2),
+  renderCombined: (sections, meta) => JSON.stringify({
+    exportedAt: meta.exportedAt.toISOString(),
+    redactions: meta.redactions || null,
+    channels: sections.map(section => ({
+      channel: { id: section.channelId || null, name: section.channelName },
+      messageCount: section.messages.length,
+      messages: section.messages.map(toJsonMessage)
+    }))
+  }, null, 2)
+});
+
+function toJsonMessage(message) {
+  return {
+    ...message,
+    datetime: timestampToIso(message.timestamp),
+    threadReplies: (message.threadReplies || []).map(reply => ({
+      ...reply,
+      datetime: timestampToIso(reply.timestamp)
+    }))
+  };
+}
+
+// ── CSV ────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = ['channel', 'type', 'ts', 'thread_ts', 'datetime', 'sender', 'content',
+  'files', 'reactions', 'edited', 'pinned', 'subtype', 'is_bot'];
+
+/**
+ * One row per message and per thread reply, so exports can go straight into
+ * a spreadsheet. Replies carry their parent's ts in `thread_ts`.
+ */
+registerFormatter('csv', {
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  render: (messages, meta) => renderCsv([{ ...meta, messages }]),
+  renderCombined: (sections) => renderCsv(sections)
+});
+
+function renderCsv(sections) {
+  const rows = [CSV_COLUMNS];
+
+  for (const section of sections) {
+    for (const message of section.messages) {
+      rows.push(csvRow(section.channelName, 'message', message, ''));
+      for (const reply of message.threadReplies || []) {
+        rows.push(csvRow(section.channelName, 'reply', reply, message.timestamp));
+      }
+    }
+  }
+
+  // BOM so spreadsheet apps detect UTF-8
+  return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvRow(channelName, type, message, threadTs) {
+  return [
+    channelName,
+    type,
+    message.timestamp || '',
+    threadTs || '',
+    timestampToIso(message.timestamp) || '',
+    message.sender || '',
+    message.content || '',
+    (message.files || []).map(file => file.href || file.name).join('; '),
+    (message.reactions || []).map(r => `${r.name}:${r.count}`).join('; '),
+    message.edited ? 'true' : 'false',
+    message.pinned ? 'true' : 'false',
+    message.subtype || '',
+    message.isBot ? 'true' : 'false'
+  ];
+}
+
+function csvCell(value) {
+  let text = String(value);
+  // Spreadsheets run a cell starting with one of these as a formula, so a message like
+  // "=HYPERLINK(...)" would turn into a live link; the quote keeps it text
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ── Plain text ─────────────────────────────────────────────────────
+
+registerFormatter('text', {
+  label: 'Plain text',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  render: (messages, meta, config) =>
+    `SlackSnap Export: ${meta.channelName}\nExported: ${formatExportedAt(meta.exportedAt, config)}\n` +
+    (meta.range ? `Range: ${formatRangeLabel(meta.range, config)}\n` : '') +
+    (meta.redactions ? `Redactions: ${formatRedactionSummary(meta.redactions)}\n` : '') + '\n' +
+    renderTextMessages(messages, config),
+  renderCombined: (sections, meta, config) =>
+    `SlackSnap Combined Export\nExported: ${formatExportedAt(meta.exportedAt, config)}\n` +
+    (meta.redactions ? `Redactions: ${formatRedactionSummary(meta.redactions)}\n` : '') +
+    sections.map(section => `\n\n== ${section.channelName} ==\n\n` + renderTextMessages(section.messages, config)).join('')
+});
+
+function renderTextMessages(messages, config) {
+  let text = '';
+
+  const line = (message) => {
+    let header = message.sender || '';
+    if (message.isBot) header += ' [bot]';
+    if (config.includeTimestamps && message.timestamp) header = `[${formatTimestamp(message.timestamp, config)}] ${header}`;
+    if (message.edited) header += ' (edited)';
+    return header;
+  };
+
+  const body = (message) => [
+    markdownToPlainText(message.content || ''),
+    ...(message.files || []).map(file => `[file: ${file.name}] ${file.unavailable ? '(unavailable)' : file.href}`),
+    message.reactions && message.reactions.length > 0
+      ? 'Reactions: ' + message.reactions.map(r => `:${r.name}: ${r.count}`).join(', ')
+      : ''
+  ].filter(Boolean).join('\n');
+
+  for (const message of messages) {
+    text += `${line(message)}:\n${body(message)}\n\n`;
+    if (config.includeThreadReplies) {
+      for (const reply of message.threadReplies || []) {
+        text += `    > ${line(reply)}:\n${body(reply).replace(/^/gm, '      ')}\n`;
+      }
+      if ((message.threadReplies || []).length > 0) text += '\n';
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Strip the Markdown produced by the exporter down to readable text.
+ * Code is kept verbatim; fence lines are dropped.
+ * @param {string} markdown - Markdown content
+ * @returns {string} Plain text
+ */
+function markdownToPlainText(markdown) {
+  return markdown
+    .split(/(^`{3,}.*$[\s\S]*?^`{3,}[ \t]*$)/m)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        return part.split('\n').slice(1, -1).join('\n');
+      }
+      return part
+        .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '[image: $1] $2')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`))
+        .replace(/<((?:https?|mailto):[^>]+)>/g, '$1')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/(^|[\s(])_(.+?)_(?=$|[\s).,!?:;])/gm, '$1$2')
+        .replace(/`([^`]+)`/g, '$1');
+    })
+    .join('');
+}
+
+// ── HTML ───────────────────────────────────────────────────────────
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 24px auto; padding: 0 16px; color: #1d1c1d; line-height: 1.45; }
+  h1 { border-bottom: 2px solid #4a154b; padding-bottom: 8px; }
+  .meta { color: #616061; font-size: 13px; }
+  .message { padding: 8px 0; border-bottom: 1px solid #eee; }
+  .sender { font-weight: 700; }
+  .time, .badge, .reactions { color: #616061; font-size: 12px; }
+  .system { color: #616061; font-style: italic; }
+  .replies { margin: 6px 0 0 20px; padding-left: 12px; border-left: 3px solid #e8e8e8; }
+  pre { background: #f8f8f8; border: 1px solid #e8e8e8; border-radius: 4px; padding: 8px; overflow-x: auto; }
+  code { font-family: 'SF Mono', Monaco, Consolas, monospace; font-size: 12px; }
+  blockquote { margin: 4px 0; padding-left: 10px; border-left: 3px solid #ddd; color: #444; }
+  img { max-width: 100%; }
+`;
+
+/**
+ * Standalone HTML page with inline styles, no external assets
+ */
+registerFormatter('html', {
+  label: 'HTML',
+  extension: 'html',
+  mimeType: 'text/html',
+  render: (messages, meta, config) => htmlDocument(
+    `SlackSnap Export: ${meta.channelName}`,
+    meta,
+    renderHtmlMessages(messages, config),
+    config
+  ),
+  renderCombined: (sections, meta, config) => htmlDocument(
+    'SlackSnap Combined Export',
+    meta,
+    sections.map(section =>
+      `<section>\n<h2>${htmlEscape(section.channelName)}</h2>\n${renderHtmlMessages(section.messages, config)}</section>`
+    ).join('\n'),
+    config
+  )
+});
+
+function htmlDocument(title, meta, bodyHtml, config) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${htmlEscape(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${htmlEscape(title)}</h1>
+<p class="meta">Exported: ${htmlEscape(formatExportedAt(meta.exportedAt, config))}${meta.range ? `<br>Range: ${htmlEscape(formatRangeLabel(meta.range, config))}` : ''}${meta.redactions ? `<br>Redactions: ${htmlEscape(formatRedactionSummary(meta.redactions))}` : ''}</p>
+${bodyHtml}
+</body>
+</html>
+`;
+}
+
+function renderHtmlMessages(messages, config) {
+  const renderOne = (message, isReply) => {
+    if (message.isSystem) {
+      const time = config.includeTimestamps && message.timestamp
+        ? ` <span class="time">${htmlEscape(formatTimestamp(message.timestamp, config))}</span>` : '';
+      return `<div class="message system">${markdownToHtml(message.content || '')}${time}</div>`;
+    }
+
+    let header = `<span class="sender">${htmlEscape(message.sender || '')}</span>`;
+    if (message.isBot) header += ' <span class="badge">[bot]</span>';
+    if (config.includeTimestamps && message.timestamp) {
+      header += ` <span class="time">${htmlEscape(formatTimestamp(message.timestamp, config))}</span>`;
+    }
+    if (message.edited) header += ' <span class="badge">(edited)</span>';
+    if (message.pinned) header += ' <span class="badge">📌 pinned</span>';
+
+    let html = `<div class="message">\n<div>${header}</div>\n`;
+    html += markdownToHtml(message.content || '') + '\n';
+    if (message.files && message.files.length > 0) {
+      html += markdownToHtml(formatAttachments(message.files).join('\n\n')) + '\n';
+    }
+    if (message.reactions && message.reactions.length > 0) {
+      html += `<div class="reactions">${htmlEscape(message.reactions.map(r => `:${r.name}: ${r.count}`).join(' · '))}</div>\n`;
+    }
+    if (!isReply && config.includeThreadReplies && (message.threadReplies || []).length > 0) {
+      html += `<div class="replies">\n${message.threadReplies.map(reply => renderOne(reply, true)).join('\n')}\n</div>\n`;
+    }
+    return html + '</div>';
+  };
+
+  return messages.map(message => renderOne(message, false)).join('\n') + '\n';
+}
+
+/**
+ * Minimal Markdown → HTML for the subset the exporter produces: fenced
+ * code, quotes, nested lists, paragraphs and inline styles/links/images
+ * @param {string} markdown - Markdown content
+ * @returns {string} HTML
+ */
+function markdownToHtml(markdown) {
+  const lines = markdown.split('\n');
+  const html = [];
+  let i = 0;
+
+  const isListItem = (line) => /^\s*(?:[-*]|\d+\.)\s+/.test(line);
+  const isFence = (line) => /^\s*`{3,}/.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isFence(line)) {
+      const fence = line.trim().match(/^`+/)[0];
+      const indent = line.match(/^\s*/)[0].length;
+      const code = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^\\s*${fence}\\s*$`).test(lines[i])) {
+        code.push(lines[i].slice(Math.min(indent, lines[i].match(/^\s*/)[0].length)));
+        i++;
+      }
+      i++; // closing fence
+      html.push(`<pre><code>${htmlEscape(code.join('\n'))}</code></pre>`);
+    } else if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*> ?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+    } else if (isListItem(line)) {
+      const block = [];
+      while (i < lines.length && (isListItem(lines[i]) || (lines[i].trim() && /^\s+/.test(lines[i])))) {
+        block.push(lines[i]);
+        i++;
+      }
+      html.push(listToHtml(block));
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !isFence(lines[i]) && !isListItem(lines[i]) && !/^\s*>/.test(lines[i])) {
+        paragraph.push(inlineMarkdownToHtml(lines[i]));
+        i++;
+      }
+      html.push(`<p>${paragraph.join('<br>\n')}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+function listToHtml(lines) {
+  const baseIndent = lines[0].match(/^\s*/)[0].length;
+  const ordered = /^\s*\d+\./.test(lines[0]);
+  const items = [];
+
+  for (const line of lines) {
+    const indent = line.match(/^\s*/)[0].length;
+    const marker = line.match(/^\s*((?:[-*]|\d+\.)\s+)/);
+    if (marker && indent === baseIndent) {
+      items.push({ column: indent + marker[1].length, lines: [line.slice(indent + marker[1].length)] });
+    } else if (items.length > 0) {
+      const item = items[items.length - 1];
+      items[items.length - 1].lines.push(line.slice(Math.min(item.column, indent)));
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const body = items.map(item => {
+    const inner = markdownToHtml(item.lines.join('\n')).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    return `<li>${inner}</li>`;
+  }).join('\n');
+  return `<${tag}>\n${body}\n</${tag}>`;
+}
+
+function inlineMarkdownToHtml(text) {
+  // Code spans first, so nothing inside them is formatted
+  return text.split(/(`+)([\s\S]*?[^`])\1(?!`)/).map((part, index, parts) => {
+    if (index % 3 === 1) return '';
+    if (index % 3 === 2) return `<code>${htmlEscape(part.replace(/^ (.*) $/, '$1'))}</code>`;
+    return htmlEscape(part)
+      .replace(/!\[([^\]]*)\]\(&lt;(.+?)&gt;\)|!\[([^\]]*)\]\(([^)\s]+)\)/g,
+        (_, altA, srcA, altB, srcB) => `<img src="${safeUrl(srcA || srcB)}" alt="${altA ?? altB}">`)
+      // Labels may hold escaped brackets ("\]"), as markdown.js writes them
+      .replace(/\[((?:\\.|[^\\\]])+)\]\(&lt;(.+?)&gt;\)|\[((?:\\.|[^\\\]])+)\]\(([^)\s]+)\)/g,
+        (_, labelA, hrefA, labelB, hrefB) => `<a href="${safeUrl(hrefA || hrefB)}">${(labelA ?? labelB).replace(/\\([[\]])/g, '$1')}</a>`)
+      .replace(/&lt;((?:https?|mailto):.+?)&gt;/g, (_, url) => `<a href="${safeUrl(url)}">${url}</a>`)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(/(^|[\s(>])_(.+?)_(?=$|[\s).,!?:;<])/g, '$1<em>$2</em>');
+  }).join('');
+}
+
+/**
+ * Neutralise script URLs in generated links (input is already HTML-escaped)
+ */
+function safeUrl(url) {
+  return /^\s*(javascript|data|vbscript):/i.test(url) && !/^data:image\//i.test(url) ? '#' : url;
+}
+
+function htmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ── Shared helpers ─────────────────────────────────────────────────
+
+/**
+ * Convert a Slack ts (or other parseable timestamp) to ISO-8601
+ * @param {string} timestamp - Slack ts like "1753160757.123400"
+ * @returns {string|null} ISO string, or null if unparseable
+ */
+function timestampToIso(timestamp) {
+  if (!timestamp) return null;
+  const date = /^\d{10}(\.\d+)?$/.test(String(timestamp))
+    ? new Date(parseFloat(timestamp) * 1000)
+    : new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Human-readable export window, e.g. "Jul 1, 2025 12:00 AM – Sep 30, 2025 11:59 PM"
+ * @param {Object} range - { oldest, latest } in Unix seconds
+ * @param {Object} config - Configuration object (time zone and clock)
+ * @returns {string} Range label
+ */
+function formatRangeLabel(range, config) {
+  const absolute = { ...config, relativeDayLabels: false };
+  return `${formatTimestamp(String(Math.floor(range.oldest)), absolute)} – ${formatTimestamp(String(Math.floor(range.latest)), absolute)}`;
+}
+
+/**
+ * Redaction counts for a header, e.g. "3 (2 email, 1 api-key)"
+ * @param {Object} redactions - { total, byRule }
+ * @returns {string} Summary
+ */
+function formatRedactionSummary(redactions) {
+  const parts = Object.entries(redactions.byRule).map(([rule, count]) => `${count} ${rule}`);
+  return parts.length > 0 ? `${redactions.total} (${parts.join(', ')})` : '0';
+}
+
+/**
+ * Render an export in the requested format
+ * @param {string} formatId - Format identifier
+ * @param {Array<Object>} messages - Enriched messages
+ * @param {Object} meta - { channelName, channelId, range, redactions }
+ * @param {Object} config - Configuration object
+ * @returns {Object} { content, format, extension, mimeType }
+ */
+function renderExport(formatId, messages, meta, config) {
+  const formatter = getFormatter(formatId);
+  const content = formatter.render(messages, { exportedAt: new Date(), ...meta }, config);
+  return { content, format: formatter.id, extension: formatter.extension, mimeType: formatter.mimeType };
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapFormatters = {
+    registerFormatter,
+    getFormatter,
+    listFormatters,
+    renderExport,
+    formatRedactionSummary
+  };
+}
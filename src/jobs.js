@@ -0,0 +1,272 @@
+/**
+ * Background export jobs for the SlackSnap service worker
+ *
+ * One batch job runs at a time, whoever started it (the popup or a
+ * schedule). The job lives here rather than in the popup so closing the
+ * popup doesn't stop it; its state is kept in chrome.storage.session, so a
+ * reopened popup (or a restarted worker) can see where it got to.
+ *
+ * Pause and cancel stop the channel in progress at its next page or thread
+ * fetch. The content script checkpoints every channel as it goes (see
+ * "Batch job checkpoints" in content.js), so resuming a paused job, or one
+ * that failed or finished with failed channels, re-runs only the channels
+ * that didn't succeed, each from its last checkpoint. A resumed run's
+ * combined file covers the channels exported in that run.
+ *
+ * Message protocol, answered by background.js:
+ *   JOB_START  { channels, tabId, workspace, oldestTimestamp, latestTimestamp, combined, archive, filters } → { success, job }
+ *   JOB_STATUS → { job } the current job, or the last finished one (null if none this session)
+ *   JOB_PAUSE  → { success }
+ *   JOB_RESUME { tabId } → { success, job } tabId replaces the original tab when given
+ *   JOB_CANCEL → { success } stops the job and discards its checkpoints
+ *   JOB_PROGRESS { job } broadcast on every change
+ *
+ * Job shape: { id, source, title, status: 'running'|'paused'|'completed'|'cancelled'|'failed',
+ *   resumable, current, total, label, channels: [{ name, channelId, workspace, format, filters, status, count, error }],
+ *   options, results, error, startedAt, finishedAt }
+ */
+
+const JOB_STATE_KEY = 'batchJob';
+const CHECKPOINT_KEY_PREFIX = 'checkpoint:'; // chrome.storage.local, written by content.js
+
+let currentJob = null;
+let stopRequested = null; // 'pause' | 'cancel'
+
+// A job still marked running when the worker starts was cut off by a restart
+const jobStateReady = chrome.storage.session.get(JOB_STATE_KEY).then(async (stored) => {
+  const job = stored[JOB_STATE_KEY];
+  if (job && job.status === 'running') {
+    job.status = 'failed';
+    job.error = 'The export was interrupted (the browser or extension restarted)';
+    job.resumable = true;
+    job.finishedAt = Date.now();
+    await chrome.storage.session.set({ [JOB_STATE_KEY]: job });
+  }
+});
+
+/**
+ * The current job, or the last one to finish this browser session
+ * @returns {Promise<Object|null>} Job state
+ */
+async function getBatchJob() {
+  await jobStateReady;
+  if (currentJob) return currentJob;
+  const stored = await chrome.storage.session.get(JOB_STATE_KEY);
+  return stored[JOB_STATE_KEY] || null;
+}
+
+/**
+ * Whether a job is running or paused; either blocks starting another
+ * @returns {Promise<boolean>}
+ */
+async function isBatchJobRunning() {
+  const job = await getBatchJob();
+  return !!job && (job.status === 'running' || job.status === 'paused');
+}
+
+/**
+ * Start a batch job in the background. Checkpoints left by an earlier job
+ * are discarded.
+ * @param {Object} request - { channels, tabId, workspace, oldestTimestamp, latestTimestamp, combined,
+ *   archive, filters, source ('popup' or 'schedule'), title } workspace is the team for channels
+ *   without one; filters is a message filter set for every channel (see src/filters.js)
+ * @returns {Promise<Object>} { job, finished } finished resolves with the final job state
+ * @throws {Error} When another job is running or paused
+ */
+async function startBatchJob(request) {
+  if (await isBatchJobRunning()) {
+    throw new Error('Another export is already running');
+  }
+  await clearCheckpoints();
+
+  const job = {
+    id: `job-${Date.now().toString(36)}`,
+    source: request.source || 'popup',
+    title: request.title || 'Batch export',
+    status: 'running',
+    resumable: false,
+    current: 0,
+    total: request.channels.length,
+    label: 'Starting...',
+    channels: request.channels.map(ch => ({
+      name: ch.name,
+      channelId: ch.channelId,
+      workspace: ch.workspace || null,
+      format: ch.format || null,
+      filters: ch.filters || null,
+      status: 'pending',
+      count: 0,
+      error: null
+    })),
+    options: {
+      tabId: request.tabId,
+      workspace: request.workspace || null,
+      oldestTimestamp: request.oldestTimestamp ?? null,
+      latestTimestamp: request.latestTimestamp ?? null,
+      combined: !!request.combined,
+      archive: !!request.archive,
+      filters: request.filters || null
+    },
+    results: [],
+    error: null,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+
+  return { job, finished: runBatchJob(job) };
+}
+
+/**
+ * Pick a paused or failed job back up from its checkpoints
+ * @param {number|null} tabId - Slack tab to use instead of the original one
+ * @returns {Promise<Object>} { job, finished }
+ * @throws {Error} When there's no job to resume
+ */
+async function resumeBatchJob(tabId = null) {
+  const job = await getBatchJob();
+  if (!job || !job.resumable || job.status === 'running') {
+    throw new Error('There is no export to resume');
+  }
+
+  if (tabId) job.options.tabId = tabId;
+  job.error = null;
+  job.finishedAt = null;
+  return { job, finished: runBatchJob(job) };
+}
+
+/**
+ * Stop the running job at the next page, keeping its checkpoints
+ * @returns {Promise<boolean>} Whether there was a job to pause
+ */
+async function pauseBatchJob() {
+  if (!currentJob || currentJob.status !== 'running') return false;
+  await requestStop('pause', 'Pausing...');
+  return true;
+}
+
+/**
+ * Stop the running job, or drop a paused or failed one, and discard its
+ * checkpoints
+ * @returns {Promise<boolean>} Whether there was a job to cancel
+ */
+async function cancelBatchJob() {
+  if (currentJob && currentJob.status === 'running') {
+    await requestStop('cancel', 'Cancelling...');
+    return true;
+  }
+
+  const job = await getBatchJob();
+  if (!job || !job.resumable) return false;
+  markCancelled(job);
+  await clearCheckpoints();
+  await publishJob(job);
+  return true;
+}
+
+async function requestStop(kind, label) {
+  stopRequested = kind;
+  currentJob.label = label;
+  await publishJob(currentJob);
+  // Interrupt the channel in progress rather than waiting for it to finish
+  chrome.tabs.sendMessage(currentJob.options.tabId, { action: 'STOP_CHANNEL_EXPORT', jobId: currentJob.id })
+    .catch(error => console.warn('⚠️ Could not reach the Slack tab to stop the export:', error.message));
+}
+
+/**
+ * Export the job's channels that haven't succeeded yet, then settle its status
+ * @param {Object} job - Job state (updated in place)
+ * @returns {Promise<Object>} The job once it stops
+ */
+async function runBatchJob(job) {
+  const { tabId, ...options } = job.options;
+  const remaining = job.channels.filter(ch => ch.status !== 'success');
+  const done = job.channels.length - remaining.length;
+
+  currentJob = job;
+  stopRequested = null;
+  job.status = 'running';
+  job.resumable = false;
+  await publishJob(job);
+
+  try {
+    const results = await runBatchExport(tabId, remaining, {
+      ...options,
+      jobId: job.id,
+      onProgress: (current, total, label) => {
+        job.current = done + current;
+        if (!stopRequested) job.label = label;
+        publishJob(job);
+      },
+      onChannelStatus: (channelId, status, result = {}) => {
+        const channel = job.channels.find(ch => ch.channelId === channelId);
+        if (!channel) return;
+        // Interrupted channels wait for a resume, with their checkpoint
+        channel.status = status === 'stopped' ? 'pending' : status;
+        channel.count = result.count || 0;
+        channel.error = result.error || null;
+        publishJob(job);
+      },
+      isStopped: () => stopRequested !== null
+    });
+
+    // A resume replaces the results of the channels it re-ran
+    const rerun = new Set(results.map(r => r.channelId));
+    const order = job.channels.map(ch => ch.channelId);
+    job.results = job.results.filter(r => !rerun.has(r.channelId)).concat(results)
+      .sort((a, b) => order.indexOf(a.channelId) - order.indexOf(b.channelId));
+
+    if (stopRequested === 'cancel') {
+      markCancelled(job);
+      await clearCheckpoints();
+    } else if (stopRequested === 'pause') {
+      job.status = 'paused';
+      job.label = 'Paused';
+      job.resumable = true;
+    } else {
+      job.status = 'completed';
+      job.resumable = job.channels.some(ch => ch.status === 'error');
+      if (!job.resumable) await clearCheckpoints();
+    }
+  } catch (error) {
+    console.error('❌ Batch job failed:', error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.resumable = true;
+  }
+
+  if (job.status !== 'paused') job.finishedAt = Date.now();
+  currentJob = null;
+  stopRequested = null;
+  await publishJob(job);
+  return job;
+}
+
+function markCancelled(job) {
+  job.status = 'cancelled';
+  job.label = 'Cancelled';
+  job.resumable = false;
+  job.finishedAt = Date.now();
+  job.channels.filter(ch => ch.status === 'pending' || ch.status === 'active').forEach(ch => { ch.status = 'cancelled'; });
+}
+
+/**
+ * Delete every saved channel checkpoint. Only one job keeps checkpoints at a
+ * time, so there's no need to pick out a job's own keys.
+ */
+async function clearCheckpoints() {
+  const stored = await chrome.storage.local.get(null);
+  const keys = Object.keys(stored).filter(key => key.startsWith(CHECKPOINT_KEY_PREFIX));
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+}
+
+/**
+ * Persist the job and tell any open popup
+ * @param {Object} job - Job state
+ */
+async function publishJob(job) {
+  await chrome.storage.session.set({ [JOB_STATE_KEY]: job });
+  // Rejects when no popup is open to listen; that's fine
+  chrome.runtime.sendMessage({ action: 'JOB_PROGRESS', job }).catch(() => {});
+}
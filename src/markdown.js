@@ -0,0 +1,516 @@
+/**
+ * Slack message formatting → GitHub-flavored Markdown for SlackSnap
+ *
+ * Slack delivers message formatting in two shapes: structured `rich_text`
+ * blocks (what the composer produces) and legacy mrkdwn in `message.text`
+ * (bots, integrations, older messages). Blocks are preferred because they
+ * carry exact whitespace for code; mrkdwn is the fallback.
+ */
+
+/**
+ * Convert a Slack API message into Markdown
+ * @param {Object} message - Raw message from conversations.history/replies
+ * @param {Object} resolver - Optional lookups and date settings: { user(id), channel(id), usergroup(id),
+ *   timeZone, timeFormat } the zone (IANA name, '' for the browser's) and clock ('12h', '24h' or 'iso')
+ *   date tokens are written in, as for the export's own timestamps
+ * @returns {string} Markdown content
+ */
+function messageToMarkdown(message, resolver = {}) {
+  if (!message) return '';
+
+  const blocks = Array.isArray(message.blocks) ? message.blocks : [];
+  const richBlocks = blocks.filter(block => block.type === 'rich_text');
+  if (richBlocks.length > 0) {
+    return richBlocks
+      .map(block => richTextToMarkdown(block.elements || [], resolver))
+      .filter(Boolean)
+      .join('\n\n')
+      .trim();
+  }
+
+  // Layout blocks (bots and apps) carry their text as mrkdwn objects
+  const layoutText = layoutBlocksToMarkdown(blocks, resolver);
+  if (layoutText) return layoutText;
+
+  return mrkdwnToMarkdown(message.text || '', resolver);
+}
+
+// ── rich_text blocks ───────────────────────────────────────────────
+
+/**
+ * Convert the elements of a rich_text block into Markdown
+ * @param {Array<Object>} elements - rich_text_* elements
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown content
+ */
+function richTextToMarkdown(elements, resolver = {}) {
+  const chunks = [];
+  // Content column of the most recent item at each list indent level,
+  // so nested items line up under their parent's text
+  let listColumns = [];
+  let previousType = null;
+
+  for (const element of elements) {
+    let chunk = '';
+
+    switch (element.type) {
+      case 'rich_text_section':
+        chunk = inlineElementsToMarkdown(element.elements, resolver).replace(/\n+$/, '');
+        break;
+      case 'rich_text_preformatted':
+        chunk = fenceCode(plainTextOf(element.elements, resolver), element.language);
+        break;
+      case 'rich_text_quote':
+        chunk = quoteLines(inlineElementsToMarkdown(element.elements, resolver).replace(/\n+$/, ''));
+        break;
+      case 'rich_text_list':
+        if (previousType !== 'rich_text_list') listColumns = [];
+        chunk = listToMarkdown(element, listColumns, resolver);
+        break;
+      default:
+        console.warn('⚠️ Unknown rich_text element type:', element.type);
+        chunk = inlineElementsToMarkdown(element.elements || [], resolver);
+    }
+
+    if (chunk) {
+      // Consecutive lists are one Markdown list; everything else needs a
+      // blank line so quotes and lists don't swallow the following text
+      const joiner = element.type === 'rich_text_list' && previousType === 'rich_text_list' ? '\n' : '\n\n';
+      chunks.push(chunks.length > 0 ? joiner + chunk : chunk);
+    }
+    previousType = element.type;
+  }
+
+  return chunks.join('');
+}
+
+/**
+ * Render one rich_text_list element. Slack represents nesting as separate
+ * consecutive lists with increasing `indent`.
+ * @param {Object} list - rich_text_list element
+ * @param {Array<number>} listColumns - Shared per-indent content columns
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown list lines
+ */
+function listToMarkdown(list, listColumns, resolver) {
+  const indent = list.indent || 0;
+  listColumns.length = Math.min(listColumns.length, indent);
+
+  let leading = 0;
+  for (let level = 0; level < indent; level++) {
+    leading += listColumns[level] !== undefined ? listColumns[level] : 2;
+  }
+  const pad = ' '.repeat(leading);
+  const start = list.offset || 0;
+
+  const lines = [];
+  (list.elements || []).forEach((item, index) => {
+    const marker = list.style === 'ordered' ? `${start + index + 1}.` : '-';
+    const text = inlineElementsToMarkdown(item.elements, resolver).replace(/\n+$/, '');
+    const continuation = '\n' + pad + ' '.repeat(marker.length + 1);
+    lines.push(`${pad}${marker} ${text.split('\n').join(continuation)}`);
+    listColumns[indent] = marker.length + 1;
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render inline rich_text elements (text runs, links, mentions, emoji)
+ * @param {Array<Object>} elements - Inline elements
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown text
+ */
+function inlineElementsToMarkdown(elements, resolver) {
+  let output = '';
+
+  for (const run of mergeTextRuns(elements || [])) {
+    switch (run.type) {
+      case 'text':
+        output += applyStyle(run.text, run.style);
+        break;
+      case 'link': {
+        output += applyStyle(run.text ? markdownLink(run.text, run.url) : markdownAutolink(run.url), run.style, true);
+        break;
+      }
+      default:
+        output += applyStyle(inlineEntityText(run, resolver), run.style);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Plain-text rendering of inline elements, used inside code blocks where
+ * no Markdown styling applies
+ * @param {Array<Object>} elements - Inline elements
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Text exactly as written
+ */
+function plainTextOf(elements, resolver) {
+  return (elements || []).map(element => {
+    if (element.type === 'text') return element.text || '';
+    if (element.type === 'link') return element.text || element.url || '';
+    return inlineEntityText(element, resolver);
+  }).join('');
+}
+
+/**
+ * Text for non-text inline elements (mentions, emoji, dates, ...)
+ * @param {Object} element - Inline element
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Display text
+ */
+function inlineEntityText(element, resolver) {
+  switch (element.type) {
+    case 'user':
+      return '@' + resolveName(resolver.user, element.user_id);
+    case 'channel':
+      return '#' + resolveName(resolver.channel, element.channel_id);
+    case 'usergroup':
+      return '@' + resolveName(resolver.usergroup, element.usergroup_id);
+    case 'broadcast':
+      return '@' + (element.range || 'here');
+    case 'emoji':
+      return emojiText(element);
+    case 'date': {
+      const text = formatSlackDate(Number(element.timestamp), element.format, element.fallback, resolver);
+      return element.url ? markdownLink(text, element.url) : text;
+    }
+    case 'team':
+      return element.team_id || '';
+    case 'color':
+      return element.value || '';
+    default:
+      return element.text || '';
+  }
+}
+
+/**
+ * Merge adjacent text runs with identical styling so markers are not
+ * emitted back-to-back (e.g. `**a****b**`)
+ * @param {Array<Object>} elements - Inline elements
+ * @returns {Array<Object>} Merged elements
+ */
+function mergeTextRuns(elements) {
+  const merged = [];
+  for (const element of elements) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === 'text' && element.type === 'text' &&
+        styleKey(last.style) === styleKey(element.style)) {
+      merged[merged.length - 1] = { ...last, text: (last.text || '') + (element.text || '') };
+    } else {
+      merged.push(element);
+    }
+  }
+  return merged;
+}
+
+function styleKey(style) {
+  if (!style) return '';
+  return ['bold', 'italic', 'strike', 'code'].filter(key => style[key]).join(',');
+}
+
+/**
+ * Wrap text in Markdown emphasis markers. Leading/trailing whitespace is
+ * kept outside the markers, since `** bold **` is not valid emphasis.
+ * @param {string} text - Text to style
+ * @param {Object} style - Slack style flags { bold, italic, strike, code }
+ * @param {boolean} isMarkup - Text is already Markdown (skip code wrapping)
+ * @returns {string} Styled text
+ */
+function applyStyle(text, style, isMarkup = false) {
+  if (!text || !style) return text || '';
+
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  let [, before, body, after] = match;
+  if (!body) return text;
+
+  if (style.code && !isMarkup) body = inlineCode(body);
+  if (style.strike) body = `~~${body}~~`;
+  if (style.italic) body = `_${body}_`;
+  if (style.bold) body = `**${body}**`;
+
+  return before + body + after;
+}
+
+// ── Layout blocks (bot/app messages) ───────────────────────────────
+
+/**
+ * Extract text from section/header/context blocks
+ * @param {Array<Object>} blocks - Message blocks
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown content, or '' if no text-bearing blocks
+ */
+function layoutBlocksToMarkdown(blocks, resolver) {
+  const parts = [];
+
+  for (const block of blocks) {
+    if (block.type === 'header' && block.text) {
+      parts.push(`**${block.text.text}**`);
+    } else if (block.type === 'section') {
+      if (block.text) parts.push(textObjectToMarkdown(block.text, resolver));
+      for (const field of block.fields || []) {
+        parts.push(textObjectToMarkdown(field, resolver));
+      }
+    } else if (block.type === 'context') {
+      const text = (block.elements || [])
+        .filter(element => element.type === 'mrkdwn' || element.type === 'plain_text')
+        .map(element => textObjectToMarkdown(element, resolver))
+        .join(' ');
+      if (text) parts.push(`_${text}_`);
+    }
+  }
+
+  return parts.filter(Boolean).join('\n\n').trim();
+}
+
+function textObjectToMarkdown(textObject, resolver) {
+  if (!textObject || !textObject.text) return '';
+  return textObject.type === 'mrkdwn'
+    ? mrkdwnToMarkdown(textObject.text, resolver)
+    : decodeEntities(textObject.text);
+}
+
+// ── mrkdwn fallback ────────────────────────────────────────────────
+
+/**
+ * Convert Slack mrkdwn (as found in `message.text`) to Markdown
+ * @param {string} text - mrkdwn text with Slack's &amp;/&lt;/&gt; escaping
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown content
+ */
+function mrkdwnToMarkdown(text, resolver = {}) {
+  if (!text) return '';
+
+  // Pull code out first so nothing inside it gets reformatted
+  const protectedSegments = [];
+  const protect = (value) => {
+    protectedSegments.push(value);
+    return `\u0000${protectedSegments.length - 1}\u0000`;
+  };
+
+  let output = text
+    .replace(/```([\s\S]*?)```/g, (_, code) => {
+      const body = decodeEntities(code.replace(/^\n/, '').replace(/\n$/, ''));
+      return protect('\n' + fenceCode(body) + '\n');
+    })
+    .replace(/`([^`\n]+)`/g, (_, code) => protect(inlineCode(decodeEntities(code))));
+
+  // Slack tokens: <@U123>, <https://url|label>, ...
+  output = output.replace(/<([^<>\n]+)>/g, (token, inner) => protect(slackTokenToMarkdown(inner, resolver) ?? token));
+
+  output = output
+    .replace(/(^|[\s(])\*(?=\S)([^*\n]*?\S)\*(?=$|[\s).,!?:;])/gm, '$1**$2**')
+    .replace(/(^|[\s(])~(?=\S)([^~\n]*?\S)~(?=$|[\s).,!?:;])/gm, '$1~~$2~~')
+    .replace(/^&gt;\s?/gm, '> ');
+
+  output = decodeEntities(output);
+
+  // Restore protected segments (repeat for tokens nested in tokens)
+  while (/\u0000\d+\u0000/.test(output)) {
+    output = output.replace(/\u0000(\d+)\u0000/g, (_, index) => protectedSegments[Number(index)]);
+  }
+
+  return output
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Convert the inside of a `<...>` mrkdwn token
+ * @param {string} inner - Token content without angle brackets
+ * @param {Object} resolver - Mention lookups
+ * @returns {string|null} Markdown, or null to leave the token as-is
+ */
+function slackTokenToMarkdown(inner, resolver) {
+  const pipeIndex = inner.indexOf('|');
+  const target = pipeIndex === -1 ? inner : inner.slice(0, pipeIndex);
+  const label = pipeIndex === -1 ? '' : decodeEntities(inner.slice(pipeIndex + 1));
+
+  // <@U123> or <@U123|name>
+  if (target.startsWith('@')) {
+    return '@' + (resolveName(resolver.user, target.slice(1), null) || label || target.slice(1));
+  }
+
+  // <#C123> or <#C123|general>
+  if (target.startsWith('#')) {
+    return '#' + (label || resolveName(resolver.channel, target.slice(1)));
+  }
+
+  if (target.startsWith('!')) {
+    return specialMentionToMarkdown(target.slice(1), label, resolver);
+  }
+
+  // <https://example.com>, <https://example.com|label>, <mailto:a@b.com|a@b.com>
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+    const url = decodeEntities(target);
+    if (!label || label === url) return markdownAutolink(url);
+    return markdownLink(label, url);
+  }
+
+  return null;
+}
+
+/**
+ * Convert `<!...>` tokens: broadcasts, user groups and dates
+ * @param {string} command - Token content after `!`, before `|`
+ * @param {string} label - Fallback text after `|`
+ * @param {Object} resolver - Mention lookups
+ * @returns {string} Markdown text
+ */
+function specialMentionToMarkdown(command, label, resolver) {
+  const [name, ...args] = command.split('^');
+
+  switch (name) {
+    case 'here':
+    case 'channel':
+    case 'everyone':
+      return '@' + name;
+    case 'subteam': {
+      const handle = resolveName(resolver.usergroup, args[0], null) || label.replace(/^@/, '') || args[0];
+      return '@' + handle;
+    }
+    case 'date': {
+      const [timestamp, format, link] = args;
+      const text = formatSlackDate(Number(timestamp), format, label, resolver);
+      return link ? markdownLink(text, decodeEntities(link)) : text;
+    }
+    default:
+      return label || `@${name}`;
+  }
+}
+
+// ── Date tokens ────────────────────────────────────────────────────
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Render a Slack date token format string (`{date_short} at {time}`, ...)
+ * @param {number} unixSeconds - Timestamp from the token
+ * @param {string} format - Slack format string with {date_*}/{time*} tokens
+ * @param {string} fallback - Text to use if the timestamp is unusable
+ * @param {Object} options - { timeZone, timeFormat } zone (IANA name, '' for the browser's) and
+ *   clock ('12h', '24h' or 'iso'); the browser's zone on a 12-hour clock by default
+ * @returns {string} Formatted date
+ */
+function formatSlackDate(unixSeconds, format, fallback = '', { timeZone = '', timeFormat = '12h' } = {}) {
+  const date = new Date(unixSeconds * 1000);
+  if (!unixSeconds || isNaN(date.getTime())) return fallback;
+
+  const parts = window.SlackSnapUtils.getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const ordinal = (day) => {
+    const suffix = (day % 100 >= 11 && day % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+    return day + suffix;
+  };
+  const month = MONTH_NAMES[parts.month - 1];
+  const weekday = WEEKDAY_NAMES[parts.weekday];
+  // The ISO setting keeps Slack's wording for dates but reads times off a 24-hour clock
+  const clock = (withSeconds) => {
+    const seconds = withSeconds ? `:${pad(parts.second)}` : '';
+    return timeFormat === '12h'
+      ? `${parts.hour % 12 || 12}:${pad(parts.minute)}${seconds} ${parts.hour >= 12 ? 'PM' : 'AM'}`
+      : `${pad(parts.hour)}:${pad(parts.minute)}${seconds}`;
+  };
+
+  const dateNum = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  const dateFull = `${month} ${ordinal(parts.day)}, ${parts.year}`;
+  const dateShort = `${month.slice(0, 3)} ${parts.day}, ${parts.year}`;
+  const dateLong = `${weekday}, ${dateFull}`;
+
+  // Slack shows the *_pretty forms as "Today"/"Yesterday", but an exported file
+  // outlives the day it was written, so they get the absolute date instead
+  const tokens = {
+    date_num: dateNum,
+    date: dateFull,
+    date_short: dateShort,
+    date_long: dateLong,
+    date_pretty: dateFull,
+    date_short_pretty: dateShort,
+    date_long_pretty: dateLong,
+    time: clock(false),
+    time_secs: clock(true)
+  };
+
+  if (!format) return fallback || dateFull;
+  return format.replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? match);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+/**
+ * `[label](url)` that survives brackets in the label and spaces or
+ * parentheses in the URL (which then goes in angle brackets)
+ * @param {string} label - Link text
+ * @param {string} url - Link target
+ * @returns {string} Markdown link
+ */
+function markdownLink(label, url) {
+  const target = /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  return `[${label.replace(/[[\]]/g, '\\$&')}](${target})`;
+}
+
+// An autolink can't hold spaces or angle brackets, so those URLs become links to themselves
+function markdownAutolink(url) {
+  return /[\s<>]/.test(url) ? markdownLink(url, url) : `<${url}>`;
+}
+
+function resolveName(lookup, id, fallback = id) {
+  const name = typeof lookup === 'function' ? lookup(id) : null;
+  return name || fallback;
+}
+
+/**
+ * Fence a code block, using a fence longer than any backtick run inside
+ * @param {string} code - Code exactly as written
+ * @param {string} language - Optional info string
+ * @returns {string} Fenced code block
+ */
+function fenceCode(code, language = '') {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language || ''}\n${code.replace(/\n$/, '')}\n${fence}`;
+}
+
+function inlineCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longestRun + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${ticks}${padding}${code}${padding}${ticks}`;
+}
+
+function quoteLines(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+function emojiText(element) {
+  if (element.unicode) {
+    try {
+      return element.unicode.split('-').map(hex => String.fromCodePoint(parseInt(hex, 16))).join('');
+    } catch (error) {
+      // Malformed code point — fall through to the shortcode
+    }
+  }
+  return `:${element.name}:`;
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapMarkdown = {
+    messageToMarkdown,
+    richTextToMarkdown,
+    mrkdwnToMarkdown,
+    formatSlackDate
+  };
+}
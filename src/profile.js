@@ -0,0 +1,205 @@
+/**
+ * Settings profiles for SlackSnap: every setting in one JSON file, so a team
+ * can share its channel list, tiers, filename templates and options
+ *
+ * A profile is { slacksnapProfile: 1, configVersion, exportedAt, settings }.
+ * Incremental export state (lastExportTimestamps, channelWatermarks) is only
+ * included when asked for: it describes one person's exports, not the team's.
+ * Importing migrates an older profile to the current schema and validates it
+ * before anything is shown or saved.
+ */
+
+const PROFILE_FORMAT_VERSION = 1;
+const WATERMARK_KEYS = ['lastExportTimestamps', 'channelWatermarks'];
+
+/**
+ * Build a profile from the current settings
+ * @param {Object} config - Settings from getConfig()
+ * @param {Object} options - { includeWatermarks }
+ * @returns {Object} Profile
+ */
+function buildProfile(config, { includeWatermarks = false } = {}) {
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (!includeWatermarks && WATERMARK_KEYS.includes(key)) continue;
+    settings[key] = config[key];
+  }
+  return {
+    slacksnapProfile: PROFILE_FORMAT_VERSION,
+    configVersion: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/**
+ * Read a profile file's contents: check it is one, bring it up to the
+ * current schema, and validate it
+ * @param {string} text - File contents
+ * @returns {Object} { settings, hasWatermarks } only settings SlackSnap knows are kept
+ * @throws {Error} When the file isn't a usable profile; a ConfigValidationError lists bad settings
+ */
+function parseProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file isn't valid JSON (${error.message})`);
+  }
+  if (!profile || profile.slacksnapProfile === undefined || typeof profile.settings !== 'object' || !profile.settings) {
+    throw new Error("The file isn't a SlackSnap settings profile");
+  }
+  if (profile.slacksnapProfile > PROFILE_FORMAT_VERSION || (profile.configVersion || 1) > CONFIG_VERSION) {
+    throw new Error('The profile was made by a newer version of SlackSnap; update the extension first');
+  }
+
+  const schema = window.SlackSnapConfigSchema;
+  const { config: migrated } = schema.applyConfigMigrations(profile.settings, profile.configVersion || 1);
+
+  const settings = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (key in migrated) settings[key] = migrated[key];
+  }
+
+  const { config: normalized, errors } = schema.validateConfig(settings);
+  if (errors.length > 0) {
+    throw new schema.ConfigValidationError(errors);
+  }
+  return { settings: normalized, hasWatermarks: WATERMARK_KEYS.some(key => key in normalized) };
+}
+
+/**
+ * The settings an import would leave behind
+ * @param {Object} current - Settings from getConfig()
+ * @param {Object} imported - Settings from parseProfile()
+ * @param {Object} options - { mode, includeWatermarks } mode 'replace' sets every setting from the
+ *   profile (defaults where it has none); 'merge' only changes the settings it has, adding and
+ *   updating channels (by ID) and schedules (by ID) but keeping ones the profile doesn't have.
+ *   Watermarks are left alone unless includeWatermarks; merged ones keep the newer of the two.
+ * @returns {Object} The full settings after import
+ */
+function applyProfile(current, imported, { mode = 'merge', includeWatermarks = false } = {}) {
+  const next = { ...current };
+
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (WATERMARK_KEYS.includes(key)) {
+      if (includeWatermarks && key in imported) {
+        next[key] = mode === 'replace' ? imported[key] : mergeNewest(current[key], imported[key]);
+      }
+      continue;
+    }
+
+    if (mode === 'replace') {
+      next[key] = key in imported ? imported[key] : DEFAULT_CONFIG[key];
+    } else if (key === 'channels' && imported.channels) {
+      next.channels = mergeByKey(current.channels, imported.channels, ch => ch.channelId || `name:${ch.name}`);
+    } else if (key === 'schedules' && imported.schedules) {
+      next.schedules = mergeByKey(current.schedules, imported.schedules, schedule => schedule.id);
+    } else if (key in imported) {
+      next[key] = imported[key];
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Items from `incoming` replace the `existing` ones with the same key, in
+ * place; the rest are appended
+ */
+function mergeByKey(existing = [], incoming, getKey) {
+  const merged = [...existing];
+  for (const item of incoming) {
+    const index = merged.findIndex(other => getKey(other) === getKey(item));
+    if (index === -1) {
+      merged.push(item);
+    } else {
+      merged[index] = item;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Per-channel export positions, keeping whichever is further along (both
+ * Slack ts strings and Unix ms compare as numbers)
+ */
+function mergeNewest(existing = {}, incoming = {}) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!(key in merged) || parseFloat(value) > parseFloat(merged[key])) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * What an import would change, one line per setting (channels and
+ * schedules itemised)
+ * @param {Object} current - Settings now
+ * @param {Object} next - Settings after the import, from applyProfile()
+ * @returns {Array<string>} Changes; empty when the import changes nothing
+ */
+function diffSettings(current, next) {
+  const changes = [];
+
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const before = current[key];
+    const after = next[key];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    if (key === 'channels') {
+      changes.push(...diffList('channel', before, after, ch => ch.channelId || `name:${ch.name}`, ch => ch.name));
+    } else if (key === 'schedules') {
+      changes.push(...diffList('schedule', before, after, schedule => schedule.id, schedule => schedule.name));
+    } else if (WATERMARK_KEYS.includes(key)) {
+      const changed = Object.keys(after || {}).filter(id => (before || {})[id] !== after[id]).length;
+      const removed = Object.keys(before || {}).filter(id => !(id in (after || {}))).length;
+      changes.push(`${key}: ${changed} channels updated${removed ? `, ${removed} removed` : ''}`);
+    } else {
+      changes.push(`${key}: ${formatSettingValue(before)} → ${formatSettingValue(after)}`);
+    }
+  }
+
+  return changes;
+}
+
+function diffList(noun, before = [], after = [], getKey, getLabel) {
+  const lines = [];
+  const beforeByKey = new Map(before.map(item => [getKey(item), item]));
+  const afterKeys = new Set(after.map(getKey));
+
+  for (const item of after) {
+    const previous = beforeByKey.get(getKey(item));
+    if (!previous) {
+      lines.push(`+ ${noun} "${getLabel(item)}" added`);
+    } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+      const fields = Object.keys({ ...previous, ...item })
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(item[field]));
+      lines.push(`~ ${noun} "${getLabel(item)}" changed (${fields.join(', ')})`);
+    }
+  }
+  for (const item of before) {
+    if (!afterKeys.has(getKey(item))) {
+      lines.push(`− ${noun} "${getLabel(item)}" removed`);
+    }
+  }
+  return lines;
+}
+
+function formatSettingValue(value) {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapProfile = {
+    buildProfile,
+    parseProfile,
+    applyProfile,
+    diffSettings,
+    WATERMARK_KEYS
+  };
+}
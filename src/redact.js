@@ -0,0 +1,187 @@
+/**
+ * Redaction for SlackSnap exports
+ *
+ * Built-in detectors (`redactionDetectors`) and the user's own rules
+ * (`redactionRules`: [{ label, pattern, flags }]) replace sensitive text with
+ * a label before anything is rendered, archived or downloaded. Both export
+ * paths run their messages through redactMessages(), which counts what it
+ * replaced so the file's header can say so.
+ */
+
+/**
+ * Built-in detectors, applied in this order (JWTs before the looser key
+ * patterns, card numbers before phone numbers). `validate` rejects matches
+ * the pattern alone can't rule out.
+ */
+const REDACTION_DETECTORS = {
+  jwts: {
+    label: 'JSON Web Tokens',
+    name: 'jwt',
+    pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]*/g
+  },
+  apiKeys: {
+    label: 'API keys, tokens and private keys',
+    name: 'api-key',
+    pattern: new RegExp([
+      '-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----',
+      '\\b(?:xox[abposr]-[A-Za-z0-9-]{10,}', // Slack
+      'xapp-\\d-[A-Za-z0-9-]{10,}',
+      'AKIA[0-9A-Z]{16}', // AWS access key
+      'gh[pousr]_[A-Za-z0-9]{36,}', // GitHub
+      'github_pat_\\w{22,}',
+      'glpat-[\\w-]{20,}', // GitLab
+      '(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}', // Stripe
+      'AIza[\\w-]{35}', // Google
+      'sk-[\\w-]{20,})\\b' // OpenAI and friends
+    ].join('|'), 'g')
+  },
+  emails: {
+    label: 'Email addresses',
+    name: 'email',
+    pattern: /[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  cards: {
+    label: 'Credit card numbers',
+    name: 'card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  phones: {
+    label: 'Phone numbers',
+    name: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{8,15}|(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4})(?!\w)/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      // Dates and IP addresses look much the same
+      return digits >= 9 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(match) && !/^\d{1,3}(\.\d{1,3}){3}$/.test(match);
+    }
+  }
+};
+
+const DEFAULT_RULE_LABEL = '[REDACTED]';
+
+/**
+ * Redact messages in place: text, thread replies, and attachment names and
+ * links (before attachments are saved, so their file names are redacted too)
+ * @param {Array<Object>} messages - Messages from either export path
+ * @param {Object} config - Configuration object (redactionDetectors, redactionRules)
+ * @returns {Object|null} { total, byRule } counts by detector name or rule label, or null when
+ *   redaction is off
+ */
+function redactMessages(messages, config) {
+  const redact = createRedactor(config);
+  if (!redact) return null;
+
+  const seenFiles = new Set();
+  for (const message of messages) {
+    for (const msg of [message, ...(message.threadReplies || [])]) {
+      msg.content = redact(msg.content);
+      for (const file of msg.files || []) {
+        // Attachment descriptions are shared between the messages that post a file
+        if (seenFiles.has(file)) continue;
+        seenFiles.add(file);
+        file.name = redact(file.name);
+        file.title = redact(file.title);
+        file.href = redact(file.href);
+      }
+    }
+  }
+
+  console.log(`🕶️ Redacted ${redact.counts.total} matches`, redact.counts.byRule);
+  return redact.counts;
+}
+
+/**
+ * A function that redacts a string with the configured rules, counting as
+ * it goes (in `.counts`), or null when no rules are on
+ * @param {Object} config - Configuration object
+ * @returns {Function|null} redact(text) → text
+ */
+function createRedactor(config) {
+  const rules = (config.redactionRules || []).map(rule => ({
+    name: rule.label || DEFAULT_RULE_LABEL,
+    replacement: rule.label || DEFAULT_RULE_LABEL,
+    pattern: new RegExp(rule.pattern, withGlobalFlag(rule.flags))
+  }));
+  for (const [id, detector] of Object.entries(REDACTION_DETECTORS)) {
+    if ((config.redactionDetectors || []).includes(id)) {
+      rules.push({ ...detector, replacement: `[REDACTED:${detector.name}]` });
+    }
+  }
+  if (rules.length === 0) return null;
+
+  const counts = { total: 0, byRule: {} };
+  const redact = (text) => {
+    if (!text) return text;
+    return rules.reduce((result, rule) => result.replace(rule.pattern, (match) => {
+      if (rule.validate && !rule.validate(match)) return match;
+      counts.total++;
+      counts.byRule[rule.name] = (counts.byRule[rule.name] || 0) + 1;
+      return rule.replacement;
+    }), text);
+  };
+  redact.counts = counts;
+  return redact;
+}
+
+function withGlobalFlag(flags = '') {
+  return flags.includes('g') ? flags : `${flags}g`;
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Read custom rules from the options page's text box, one per line:
+ * `[CUSTOMER] = /CUST-\d{6}/i`. Blank lines and lines starting with # are
+ * skipped.
+ * @param {string} text - Text box contents
+ * @returns {Object} { rules, errors } errors are "Line n: ..." messages
+ */
+function parseRedactionRules(text) {
+  const rules = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^(.*?)\s*=\s*\/(.+)\/([a-z]*)$/);
+    if (!match) {
+      errors.push(`Line ${index + 1}: expected LABEL = /pattern/flags`);
+      return;
+    }
+    rules.push({ label: match[1], pattern: match[2], flags: match[3] });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * The options page's text for a rule list (the reverse of parseRedactionRules)
+ * @param {Array<Object>} rules - Rules from config
+ * @returns {string} One rule per line
+ */
+function formatRedactionRules(rules) {
+  return (rules || []).map(rule => `${rule.label} = /${rule.pattern}/${rule.flags || ''}`).join('\n');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapRedact = {
+    REDACTION_DETECTORS,
+    redactMessages,
+    parseRedactionRules,
+    formatRedactionRules
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Scheduled batch exports for the SlackSnap service worker
+ *
+ * Schedules live in config (`schedules`) and each enabled one owns a
+ * one-shot chrome.alarms alarm set for its next run; the alarm is re-armed
+ * after every run, so daylight-saving changes and edits are picked up.
+ *
+ * Schedule shape:
+ *   { id, name, enabled, frequency: 'daily'|'weekly', time: 'HH:MM', dayOfWeek: 0-6 (weekly), tiers: [1, 2, 3] }
+ */
+
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+const SLACK_TAB_URL = 'https://app.slack.com/client';
+const SCHEDULE_RUNS_KEY = 'scheduleRuns'; // chrome.storage.local: { [scheduleId]: last run summary }
+
+/**
+ * Next time a schedule is due, strictly after `from`
+ * @param {Object} schedule - Schedule config
+ * @param {Date} from - Reference time (defaults to now)
+ * @returns {number} Unix ms
+ */
+function getNextRunTime(schedule, from = new Date()) {
+  const [hours, minutes] = (schedule.time || '18:00').split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+
+  if (schedule.frequency === 'weekly') {
+    const daysAhead = (Number(schedule.dayOfWeek) - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Replace the schedule alarms with one per enabled schedule
+ */
+async function syncScheduleAlarms() {
+  const { schedules = [] } = await getConfig();
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const schedule of schedules) {
+    if (!schedule.enabled) continue;
+    const when = getNextRunTime(schedule);
+    await chrome.alarms.create(`${SCHEDULE_ALARM_PREFIX}${schedule.id}`, { when });
+    console.log(`⏰ Scheduled "${schedule.name}" for ${new Date(when).toLocaleString()}`);
+  }
+}
+
+/**
+ * Run one schedule: export its tiers' enabled channels through a Slack tab,
+ * record the outcome and tell the user
+ * @param {string} scheduleId - Schedule ID
+ */
+async function runScheduledExport(scheduleId) {
+  const config = await getConfig();
+  const schedule = (config.schedules || []).find(s => s.id === scheduleId);
+  if (!schedule || !schedule.enabled) return;
+
+  // A schedule that fires while another export is running waits its next turn
+  if (await isBatchJobRunning()) {
+    console.warn(`⏰ Skipping "${schedule.name}": another export is running`);
+    await recordScheduleRun(schedule, { skipped: true, error: 'Another export was still running' });
+    return;
+  }
+
+  const startedAt = Date.now();
+  try {
+    const tiers = (schedule.tiers || []).map(Number);
+    const channels = (config.channels || []).filter(ch =>
+      ch.enabled !== false && ch.channelId && tiers.includes(Number(ch.tier || 1))
+    );
+    if (channels.length === 0) {
+      throw new Error('No enabled channels with an ID in the selected tiers');
+    }
+
+    console.log(`⏰ Running "${schedule.name}" for ${channels.length} channels`);
+    const tabId = await getSlackTabForExport();
+    const { finished } = await startBatchJob({
+      source: 'schedule',
+      title: schedule.name,
+      channels,
+      tabId,
+      combined: config.combinedExport,
+      archive: config.archiveMode
+    });
+    const job = await finished;
+    if (job.status === 'failed') throw new Error(job.error);
+    const { results } = job;
+
+    // Paused or cancelled from the popup: whatever's left is up to the user
+    if (job.status !== 'completed') {
+      await recordScheduleRun(schedule, { startedAt, results, error: `Export ${job.status}` });
+      notifyScheduleResult(schedule, `Export ${job.status} after ${results.length} of ${channels.length} channels`);
+      return;
+    }
+
+    const failed = results.filter(r => !r.success);
+    const messageCount = results.reduce((sum, r) => sum + (r.count || 0), 0);
+    await recordScheduleRun(schedule, { startedAt, results });
+    notifyScheduleResult(schedule, failed.length === 0
+      ? `Exported ${messageCount} messages from ${results.length} channels`
+      : `${failed.length} of ${results.length} channels failed: ${failed.map(r => r.channel).join(', ')}`);
+  } catch (error) {
+    console.error(`❌ Scheduled export "${schedule.name}" failed:`, error);
+    await recordScheduleRun(schedule, { startedAt, error: error.message });
+    notifyScheduleResult(schedule, `Export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find an open Slack tab, or open one in the background, and make sure the
+ * content script is answering
+ * @returns {Promise<number>} Tab ID
+ */
+async function getSlackTabForExport() {
+  const tabs = await chrome.tabs.query({ url: '*://*.slack.com/*' });
+  let tab = tabs.find(t => t.url && t.url.includes('app.slack.com/client')) || tabs[0];
+
+  if (!tab) {
+    console.log('🌐 No Slack tab open, opening one for the scheduled export');
+    tab = await chrome.tabs.create({ url: SLACK_TAB_URL, active: false });
+  }
+
+  await waitForContentScript(tab.id);
+  return tab.id;
+}
+
+/**
+ * Poll the tab until the content script replies, injecting it once if the
+ * page was open before the extension was (re)loaded
+ * @param {number} tabId - Tab ID
+ * @param {number} timeoutMs - How long to wait for Slack to load
+ */
+async function waitForContentScript(tabId, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  let injected = false;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'PING' });
+      if (response && response.ready) return;
+    } catch (error) {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete' && !injected) {
+        injected = true;
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: ['src/config.js', 'src/utils.js', 'src/markdown.js', 'src/formatters.js', 'src/slack-api.js', 'src/user-directory.js', 'src/redact.js', 'src/filters.js', 'src/content.js']
+        }).catch(injectError => console.warn('⚠️ Content script injection failed:', injectError.message));
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+  throw new Error('Slack tab did not become ready (are you signed in?)');
+}
+
+/**
+ * Keep the latest outcome of each schedule for the options page
+ * @param {Object} schedule - Schedule config
+ * @param {Object} run - { startedAt, results, error, skipped }
+ */
+async function recordScheduleRun(schedule, run) {
+  const stored = await chrome.storage.local.get(SCHEDULE_RUNS_KEY);
+  const runs = stored[SCHEDULE_RUNS_KEY] || {};
+  runs[schedule.id] = { ...run, finishedAt: Date.now() };
+  await chrome.storage.local.set({ [SCHEDULE_RUNS_KEY]: runs });
+}
+
+function notifyScheduleResult(schedule, message) {
+  chrome.notifications.create(`${SCHEDULE_ALARM_PREFIX}${schedule.id}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `SlackSnap: ${schedule.name}`,
+    message
+  });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+
+  const scheduleId = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+  try {
+    await runScheduledExport(scheduleId);
+  } finally {
+    await syncScheduleAlarms();
+  }
+});
+
+// Re-arm whenever the schedules change, and when the browser starts
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.schedules) {
+    syncScheduleAlarms();
+  }
+});
+chrome.runtime.onStartup.addListener(() => syncScheduleAlarms());
@@ -0,0 +1,267 @@
+/**
+ * Slack Web API client for SlackSnap
+ *
+ * Every Slack API call the content script makes goes through callSlackApi(),
+ * which posts to the workspace's own /api/ endpoint with the session token.
+ * Calls are rate limited per Slack method tier with a token bucket: each tier
+ * allows a short burst and then refills at the tier's documented rate. When
+ * Slack still answers 429, the tier pauses for the Retry-After the response
+ * asks for, and the call is retried.
+ *
+ * Failures come back as SlackApiError (or a subclass for the cases callers
+ * handle differently), with Slack's error code in `code`.
+ */
+
+/**
+ * Requests per minute Slack allows for each tier, and how many calls may go
+ * out back to back before the rate applies
+ * https://api.slack.com/apis/rate-limits
+ */
+const RATE_LIMIT_TIERS = {
+  1: { perMinute: 1, burst: 1 },
+  2: { perMinute: 20, burst: 3 },
+  3: { perMinute: 50, burst: 5 },
+  4: { perMinute: 100, burst: 10 }
+};
+
+// Methods not listed here are treated as tier 3
+const SLACK_METHOD_TIERS = {
+  'conversations.history': 3,
+  'conversations.replies': 3,
+  'conversations.info': 3,
+  'conversations.members': 4,
+  'conversations.list': 2,
+  'users.conversations': 3,
+  'users.info': 4,
+  'users.list': 2,
+  'usergroups.list': 2,
+  'bots.info': 3,
+  'team.info': 3
+};
+
+const MAX_API_RETRIES = 4;
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+const AUTH_ERROR_CODES = new Set([
+  'not_authed', 'invalid_auth', 'account_inactive', 'token_revoked', 'token_expired', 'missing_scope'
+]);
+
+// ── Errors ─────────────────────────────────────────────────────────
+
+class SlackApiError extends Error {
+  /**
+   * @param {string} method - API method, e.g. 'conversations.history'
+   * @param {string} code - Slack error code (or 'network_error' / 'http_<status>')
+   * @param {Object} details - { retryAfter } seconds, for rate limits
+   */
+  constructor(method, code, details = {}) {
+    super(`${method} API failed: ${code}`);
+    this.name = 'SlackApiError';
+    this.method = method;
+    this.code = code;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+// The session token is missing, expired or lacks access: signing in again helps
+class SlackAuthError extends SlackApiError {
+  constructor(method, code, details) {
+    super(method, code, details);
+    this.name = 'SlackAuthError';
+  }
+}
+
+class SlackNotInChannelError extends SlackApiError {
+  constructor(method, code, details) {
+    super(method, code, details);
+    this.name = 'SlackNotInChannelError';
+  }
+}
+
+class SlackChannelNotFoundError extends SlackApiError {
+  constructor(method, code, details) {
+    super(method, code, details);
+    this.name = 'SlackChannelNotFoundError';
+  }
+}
+
+// Still rate limited after every retry
+class SlackRateLimitError extends SlackApiError {
+  constructor(method, code, details) {
+    super(method, code, details);
+    this.name = 'SlackRateLimitError';
+  }
+}
+
+function createSlackError(method, code, details = {}) {
+  if (AUTH_ERROR_CODES.has(code)) return new SlackAuthError(method, code, details);
+  if (code === 'not_in_channel') return new SlackNotInChannelError(method, code, details);
+  if (code === 'channel_not_found') return new SlackChannelNotFoundError(method, code, details);
+  if (code === 'ratelimited') return new SlackRateLimitError(method, code, details);
+  return new SlackApiError(method, code, details);
+}
+
+/**
+ * Whether a call will fail the same way next time (the ID doesn't exist or
+ * isn't visible to us), as opposed to a rate limit or network error
+ * @param {Error} error - Error from callSlackApi()
+ * @returns {boolean}
+ */
+function isPermanentSlackError(error) {
+  return error instanceof SlackApiError && !(error instanceof SlackRateLimitError) &&
+    error.code !== 'network_error' && !error.code.startsWith('http_');
+}
+
+// ── Rate limiting ──────────────────────────────────────────────────
+
+const tierBuckets = new Map();
+
+function getTierBucket(tier) {
+  if (!tierBuckets.has(tier)) {
+    const { burst } = RATE_LIMIT_TIERS[tier];
+    tierBuckets.set(tier, { tokens: burst, refilledAt: Date.now(), pausedUntil: 0, queue: Promise.resolve() });
+  }
+  return tierBuckets.get(tier);
+}
+
+/**
+ * Wait until the tier has a request to spare. Waiters are served in order,
+ * so a long export can't starve a quick lookup in the same tier.
+ * @param {number} tier - Slack rate-limit tier (1-4)
+ */
+function takeApiToken(tier) {
+  const bucket = getTierBucket(tier);
+  const { perMinute, burst } = RATE_LIMIT_TIERS[tier];
+  const perMs = perMinute / 60000;
+
+  const turn = bucket.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.refilledAt) * perMs);
+      bucket.refilledAt = now;
+
+      if (now < bucket.pausedUntil) {
+        await sleepMs(bucket.pausedUntil - now);
+      } else if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      } else {
+        await sleepMs(Math.ceil((1 - bucket.tokens) / perMs));
+      }
+    }
+  });
+  bucket.queue = turn;
+  return turn;
+}
+
+/**
+ * Hold every call in a tier until Slack's Retry-After has passed
+ * @param {number} tier - Slack rate-limit tier
+ * @param {number} seconds - Retry-After
+ */
+function pauseTier(tier, seconds) {
+  const bucket = getTierBucket(tier);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + seconds * 1000);
+  bucket.tokens = 0;
+  console.log(`⏳ Slack rate limit (tier ${tier}): pausing for ${seconds}s`);
+}
+
+function sleepMs(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ── Calls ──────────────────────────────────────────────────────────
+
+/**
+ * Call a Slack Web API method, waiting for the rate limiter and retrying
+ * rate limits and network errors
+ * @param {string} method - API method, e.g. 'conversations.history'
+ * @param {Object} params - Form parameters, including token; null/undefined values are left out
+ * @returns {Promise<Object>} The response body (ok is always true)
+ * @throws {SlackApiError} When Slack answers with an error, or retries run out
+ */
+async function callSlackApi(method, params = {}) {
+  const tier = SLACK_METHOD_TIERS[method] || 3;
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) body.append(key, String(value));
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await takeApiToken(tier);
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`/api/${method}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'X-Slack-No-Retry': '1'
+        },
+        body: body.toString()
+      });
+      data = response.status === 429 ? null : await response.json();
+    } catch (error) {
+      // Offline, or an HTML error page instead of JSON
+      if (attempt >= MAX_API_RETRIES) {
+        throw new SlackApiError(method, response ? `http_${response.status}` : 'network_error');
+      }
+      const waitSeconds = 2 ** attempt;
+      console.log(`🔄 ${method} request failed (${error.message}), retrying in ${waitSeconds}s (${attempt + 1}/${MAX_API_RETRIES})`);
+      await sleepMs(waitSeconds * 1000);
+      continue;
+    }
+
+    if (response.status === 429 || data.error === 'ratelimited') {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10) ||
+        data?.response_metadata?.retry_after || DEFAULT_RETRY_AFTER_SECONDS;
+      if (attempt >= MAX_API_RETRIES) {
+        throw createSlackError(method, 'ratelimited', { retryAfter });
+      }
+      pauseTier(tier, retryAfter);
+      continue;
+    }
+
+    if (!data.ok) {
+      throw createSlackError(method, data.error || 'unknown_error');
+    }
+    return data;
+  }
+}
+
+/**
+ * Call a cursor-paginated method until Slack runs out of pages
+ * @param {string} method - API method
+ * @param {Object} params - Form parameters (set limit here)
+ * @param {Object} options - { itemsKey, cursor, onPage } the response field holding each page's
+ *   items (e.g. 'messages', 'channels', 'members'), a cursor to resume from, and
+ *   onPage(items, nextCursor, data), awaited after every page; throw from it to stop early
+ * @returns {Promise<Array>} Items from every page fetched
+ */
+async function paginateSlackApi(method, params, { itemsKey, cursor = '', onPage = null } = {}) {
+  const items = [];
+  do {
+    const data = await callSlackApi(method, { ...params, cursor: cursor || null });
+    const page = data[itemsKey] || [];
+    items.push(...page);
+    cursor = data.response_metadata?.next_cursor || '';
+    if (onPage) await onPage(page, cursor, data);
+  } while (cursor);
+  return items;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapAPI = {
+    call: callSlackApi,
+    paginate: paginateSlackApi,
+    SlackApiError,
+    SlackAuthError,
+    SlackNotInChannelError,
+    SlackChannelNotFoundError,
+    SlackRateLimitError,
+    isPermanentError: isPermanentSlackError,
+    SLACK_METHOD_TIERS
+  };
+}
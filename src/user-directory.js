@@ -0,0 +1,261 @@
+/**
+ * Persistent user directory for SlackSnap
+ *
+ * Exports name people from here rather than asking Slack on every run. Each
+ * workspace's users are kept in chrome.storage.local (`userDirectory:<teamId>`)
+ * and an entry is fetched again once it's older than `userDirectoryTtlHours`.
+ * Users the directory doesn't have come from users.list when there are many
+ * of them (a page holds 200 people, and a few pages are read at most) and
+ * from users.info otherwise.
+ *
+ * Entry shape: { id, handle, displayName, realName, title, avatar, tz, deleted, bot, guest,
+ *   external, fetchedAt }, or { id, missing: true, fetchedAt } for an ID Slack won't describe,
+ *   so it isn't asked for again until the entry expires
+ *
+ * Pseudonymised exports ("Person A", "Person B", ...) draw on a second table
+ * per workspace (`pseudonyms:<teamId>`), so someone keeps the same pseudonym
+ * in every export, channel and rolling archive.
+ */
+
+const USER_DIRECTORY_KEY_PREFIX = 'userDirectory:';
+const PSEUDONYM_KEY_PREFIX = 'pseudonyms:';
+
+// From this many missing users, paging users.list (tier 2) beats users.info (tier 4) one by one
+const USERS_LIST_THRESHOLD = 25;
+
+// Pages of users.list to read at most: Slack Connect users never appear there, so paging
+// until everyone turns up would list the whole of a large workspace for nothing
+const MAX_USERS_LIST_PAGES = 10;
+
+// Directories read this page load, by team ID, so a batch run reads storage once
+const loadedDirectories = new Map();
+
+/**
+ * Directory entries for users, fetching the ones that are missing or stale
+ * @param {Array<string>} userIds - User IDs
+ * @param {Object} options - { token, teamId, ttlHours } the session to fetch with, the team whose
+ *   directory to use, and how old an entry may be (defaults to DEFAULT_CONFIG.userDirectoryTtlHours)
+ * @returns {Promise<Object>} Map of user ID to entry; IDs Slack couldn't describe are left out,
+ *   and a stale entry stands in when refetching it failed
+ */
+async function resolveUsers(userIds, { token, teamId, ttlHours = DEFAULT_CONFIG.userDirectoryTtlHours }) {
+  const directory = await loadDirectory(teamId);
+  const maxAgeMs = ttlHours * 3600 * 1000;
+  const wanted = [...new Set(userIds)].filter(Boolean);
+  const missing = new Set(wanted.filter(id => !directory[id] || Date.now() - directory[id].fetchedAt >= maxAgeMs));
+
+  if (missing.size > 0) {
+    console.log(`👥 ${wanted.length - missing.size} of ${wanted.length} users from the directory, fetching ${missing.size}`);
+    const fetched = {};
+
+    if (missing.size >= USERS_LIST_THRESHOLD) {
+      await fetchFromUsersList(token, teamId, missing, fetched);
+    }
+    for (const userId of missing) {
+      try {
+        const data = await window.SlackSnapAPI.call('users.info', { token, user: userId });
+        fetched[userId] = toDirectoryEntry(data.user, teamId);
+      } catch (error) {
+        if (!window.SlackSnapAPI.isPermanentError(error)) {
+          console.warn(`⚠️ Could not fetch user ${userId}:`, error);
+          continue;
+        }
+        fetched[userId] = { id: userId, missing: true, fetchedAt: Date.now() };
+      }
+    }
+
+    Object.assign(directory, fetched);
+    await saveDirectory(teamId, fetched);
+  }
+
+  const users = {};
+  for (const id of wanted) {
+    if (directory[id] && !directory[id].missing) users[id] = directory[id];
+  }
+  return users;
+}
+
+/**
+ * Page through users.list until few enough missing users are left to fetch
+ * one by one, or MAX_USERS_LIST_PAGES pages, keeping everyone seen on the way
+ * for later runs
+ * @param {string} token - Slack auth token
+ * @param {string} teamId - Team the directory belongs to
+ * @param {Set<string>} missing - User IDs still wanted (found ones are removed)
+ * @param {Object} fetched - Map of user ID to entry (added to)
+ */
+async function fetchFromUsersList(token, teamId, missing, fetched) {
+  let cursor = '';
+  let listed = 0;
+  let pages = 0;
+  try {
+    do {
+      const data = await window.SlackSnapAPI.call('users.list', { token, limit: 200, cursor: cursor || null });
+      for (const user of data.members || []) {
+        fetched[user.id] = toDirectoryEntry(user, teamId);
+        missing.delete(user.id);
+      }
+      listed += (data.members || []).length;
+      pages++;
+      cursor = data.response_metadata?.next_cursor || '';
+    } while (cursor && missing.size >= USERS_LIST_THRESHOLD && pages < MAX_USERS_LIST_PAGES);
+    console.log(`📋 Listed ${listed} users, ${missing.size} still to fetch one by one`);
+  } catch (error) {
+    // Guests can't call users.list; users.info still works for them
+    console.log(`📋 users.list not available (${error.code || error.message}), fetching users one by one`);
+  }
+}
+
+/**
+ * The fields exporters use from a users.list / users.info user
+ * @param {Object} user - User object from the API
+ * @param {string} teamId - Team (or Grid org) the directory belongs to
+ * @returns {Object} Directory entry
+ */
+function toDirectoryEntry(user, teamId) {
+  const profile = user.profile || {};
+  return {
+    id: user.id,
+    handle: user.name || '',
+    displayName: profile.display_name || '',
+    realName: user.real_name || profile.real_name || '',
+    title: profile.title || '',
+    avatar: profile.image_192 || profile.image_72 || profile.image_48 || '',
+    tz: user.tz || null,
+    deleted: !!user.deleted,
+    bot: !!user.is_bot || user.id === 'USLACKBOT',
+    guest: !!(user.is_restricted || user.is_ultra_restricted),
+    // Slack Connect users; people from other workspaces of the same Grid org aren't external
+    external: !!user.is_stranger || (!!user.team_id && user.team_id !== teamId && !user.enterprise_user),
+    fetchedAt: Date.now()
+  };
+}
+
+/**
+ * Name to show for a user in exports
+ * @param {Object} user - Directory entry
+ * @param {string} nameDisplay - 'real' (full name), 'display' (display name) or 'handle'
+ *   (@handle, without the @); the others stand in for a name the user hasn't set
+ * @returns {string} Name
+ */
+function getUserName(user, nameDisplay = 'real') {
+  if (nameDisplay === 'handle') return user.handle || user.displayName || user.realName || user.id;
+  if (nameDisplay === 'display') return user.displayName || user.realName || user.handle || user.id;
+  return user.realName || user.displayName || user.handle || user.id;
+}
+
+/**
+ * Pseudonyms for people, handing out the next free one to anyone who hasn't
+ * had one in this workspace yet
+ * @param {Object} people - Map of key (a user ID, or `name:<name>` when the page didn't give one)
+ *   to the name the export would otherwise show; kept in the table for the mapping file
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Object>} Map of key to pseudonym
+ */
+async function assignPseudonyms(people, teamId) {
+  const key = `${PSEUDONYM_KEY_PREFIX}${teamId}`;
+  const stored = await chrome.storage.local.get(key);
+  const table = stored[key] || {};
+  let next = Object.keys(table).length;
+
+  const pseudonyms = {};
+  for (const [person, name] of Object.entries(people)) {
+    if (!table[person]) {
+      table[person] = { pseudonym: `Person ${pseudonymLetters(next++)}`, name };
+    } else if (name) {
+      table[person].name = name;
+    }
+    pseudonyms[person] = table[person].pseudonym;
+  }
+
+  await chrome.storage.local.set({ [key]: table });
+  return pseudonyms;
+}
+
+/**
+ * Everyone given a pseudonym in a workspace, in the order they got one
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array<Object>>} [{ pseudonym, userId, name }] userId is null for people
+ *   only known by the name on the page
+ */
+async function getPseudonymTable(teamId) {
+  const key = `${PSEUDONYM_KEY_PREFIX}${teamId}`;
+  const stored = await chrome.storage.local.get(key);
+  return Object.entries(stored[key] || {}).map(([person, { pseudonym, name }]) => ({
+    pseudonym,
+    userId: person.startsWith('name:') ? null : person,
+    name: name || null
+  }));
+}
+
+// 0 → A, 25 → Z, 26 → AA, ...
+function pseudonymLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function loadDirectory(teamId) {
+  if (!loadedDirectories.has(teamId)) {
+    const key = `${USER_DIRECTORY_KEY_PREFIX}${teamId}`;
+    loadedDirectories.set(teamId, chrome.storage.local.get(key)
+      .then(stored => stored[key] || {})
+      .catch((error) => {
+        console.warn('⚠️ Could not read the user directory:', error);
+        return {};
+      }));
+  }
+  return loadedDirectories.get(teamId);
+}
+
+/**
+ * Write fetched entries, on top of whatever other Slack tabs have stored
+ * since this one read the directory
+ * @param {string} teamId - Team ID
+ * @param {Object} fetched - Map of user ID to entry
+ */
+async function saveDirectory(teamId, fetched) {
+  if (Object.keys(fetched).length === 0) return;
+  const key = `${USER_DIRECTORY_KEY_PREFIX}${teamId}`;
+  try {
+    const stored = await chrome.storage.local.get(key);
+    await chrome.storage.local.set({ [key]: { ...(stored[key] || {}), ...fetched } });
+  } catch (error) {
+    console.warn('⚠️ Could not save the user directory:', error);
+  }
+}
+
+/**
+ * Forget every workspace's directory, so the next exports fetch everyone again
+ */
+async function clearUserDirectories() {
+  const stored = await chrome.storage.local.get(null);
+  const keys = Object.keys(stored).filter(key => key.startsWith(USER_DIRECTORY_KEY_PREFIX));
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+  loadedDirectories.clear();
+}
+
+// A directory cleared from the options page is dropped by open Slack tabs too
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  for (const [key, change] of Object.entries(changes)) {
+    if (key.startsWith(USER_DIRECTORY_KEY_PREFIX) && change.newValue === undefined) {
+      loadedDirectories.delete(key.slice(USER_DIRECTORY_KEY_PREFIX.length));
+    }
+  }
+});
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.SlackSnapUsers = {
+    resolve: resolveUsers,
+    getUserName,
+    assignPseudonyms,
+    getPseudonymTable,
+    clear: clearUserDirectories
+  };
+}
@@ -2,25 +2,120 @@
  * Utility functions for SlackSnap extension
  */
 
+/**
+ * Date tokens understood by formatDate and the filename template.
+ * Longest tokens first so "YYYY" wins over shorter matches.
+ */
+const DATE_TOKEN_PATTERN = /YYYY|GGGG|MM|DD|HH|mm|ss|WW/g;
+
 /**
  * Format date according to specified format
  * @param {Date} date - Date to format
- * @param {string} format - Format string (e.g., "YYYYMMDD-HHmm")
+ * @param {string} format - Format string (e.g., "YYYYMMDD-HHmm"); tokens:
+ *   YYYY year, MM month, DD day, HH hours, mm minutes, ss seconds,
+ *   WW ISO week number, GGGG ISO week-numbering year
  * @returns {string} Formatted date string
  */
 function formatDate(date, format) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  
-  return format
-    .replace('YYYY', year)
-    .replace('MM', month)
-    .replace('DD', day)
-    .replace('HH', hours)
-    .replace('mm', minutes);
+  return format.replace(DATE_TOKEN_PATTERN, token => dateTokenValue(date, token));
+}
+
+function dateTokenValue(date, token) {
+  const pad = (value) => String(value).padStart(2, '0');
+
+  switch (token) {
+    case 'YYYY': return String(date.getFullYear());
+    case 'MM': return pad(date.getMonth() + 1);
+    case 'DD': return pad(date.getDate());
+    case 'HH': return pad(date.getHours());
+    case 'mm': return pad(date.getMinutes());
+    case 'ss': return pad(date.getSeconds());
+    case 'WW': return pad(getIsoWeek(date).week);
+    case 'GGGG': return String(getIsoWeek(date).year);
+    default: return token;
+  }
+}
+
+/**
+ * ISO-8601 week number: weeks start on Monday and week 1 contains the
+ * year's first Thursday, so early-January dates can belong to last year
+ * @param {Date} date - Date (local time)
+ * @returns {Object} { week, year }
+ */
+function getIsoWeek(date) {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+  const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / 86400000);
+  return { week: Math.floor(dayOfYear / 7) + 1, year: thursday.getFullYear() };
+}
+
+/**
+ * Wall-clock fields for a moment in a time zone
+ * @param {Date} date - Moment to describe
+ * @param {string} timeZone - IANA zone name; empty for the browser's zone
+ * @returns {Object} { year, month (1-12), day, hour (0-23), minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone = '') {
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * How far a time zone is ahead of UTC at a moment
+ * @param {Date} date - Moment (offsets change with daylight saving)
+ * @param {string} timeZone - IANA zone name; empty for the browser's zone
+ * @returns {number} Offset in minutes, e.g. 60 for Europe/London in summer
+ */
+function getTimeZoneOffset(date, timeZone = '') {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The moment a wall-clock time in a time zone stands for: the reverse of
+ * getZonedParts. A time skipped by a daylight saving change comes out an
+ * hour to one side.
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA zone name; empty for the browser's zone
+ * @returns {Date} Moment
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = '') {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone) * 60000;
+  // The offset at the guess is the right one unless a change falls in between
+  return new Date(asUtc - getTimeZoneOffset(new Date(guess), timeZone) * 60000);
+}
+
+// One formatter per zone: building them is slow, and exports format thousands of timestamps
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
 }
 
 /**
@@ -182,19 +277,208 @@ function sanitizeChannelName(name) {
 }
 
 /**
- * Generate filename for export
+ * Placeholders available in the filename template (in addition to the
+ * date tokens above). Shown as help text on the options page.
+ */
+const FILENAME_TOKENS = {
+  channel: 'Channel name',
+  channelId: 'Slack channel ID',
+  workspace: 'Workspace (team) name',
+  type: 'Conversation type (channel, dm, group)',
+  tier: 'Channel tier',
+  rangeStart: 'Start of the export window (YYYY-MM-DD)',
+  rangeEnd: 'End of the export window (YYYY-MM-DD)',
+  messageCount: 'Number of exported messages'
+};
+
+// Characters no mainstream filesystem accepts in a path segment
+const ILLEGAL_FILENAME_CHARS = /[<>:"\\|?*\u0000-\u001F]/;
+
+/**
+ * Generate filename for export. The template can contain date tokens,
+ * {placeholders} and "/" to file exports into subfolders, e.g.
+ * "{workspace}/{channel}/YYYY/MM/YYYYMMDD-HHmm-{channel}.md".
  * @param {string} channelName - Name of the channel
  * @param {Object} config - Configuration object
- * @returns {string} Generated filename
+ * @param {Object} details - Optional template values: { extension, range, channelId,
+ *   workspace, type, tier, messageCount, date }; extension swaps the template's own
+ * @returns {string} Generated filename (relative path)
  */
-function generateFilename(channelName, config) {
-  const now = new Date();
-  const dateStr = formatDate(now, 'YYYYMMDD-HHmm');
-  const cleanChannel = channelName.replace(/[^a-zA-Z0-9-_]/g, '-');
-  
-  return config.fileNameFormat
-    .replace('YYYYMMDD-HHmm', dateStr)
-    .replace('{channel}', cleanChannel);
+function generateFilename(channelName, config, details = {}) {
+  const filename = renderFilenameTemplate(config.fileNameFormat || 'YYYYMMDD-HHmm-{channel}.md', {
+    ...details,
+    channel: channelName
+  });
+  return details.extension ? applyFileExtension(filename, details.extension) : filename;
+}
+
+// A run of letters is a date pattern only when it's made of date tokens and nothing else
+const DATE_TOKEN_RUN = /^(?:YYYY|GGGG|MM|DD|HH|mm|ss|WW)+$/;
+
+/**
+ * Render a filename template in a single pass, so substituted values are
+ * never re-scanned for tokens (a channel called "MM-notes" stays intact).
+ * Date tokens only count where they stand apart from other letters, so
+ * "YYYYMMDD-comments.md" keeps its "comments"; text wrapped in [brackets]
+ * is always copied literally, e.g. "[DD]-YYYY.md"
+ * @param {string} template - Filename template
+ * @param {Object} values - Template values (see generateFilename)
+ * @returns {string} Relative path with sanitized segments
+ */
+function renderFilenameTemplate(template, values) {
+  const date = values.date || new Date();
+  const rangeDate = (unix) => (unix ? formatDate(new Date(unix * 1000), 'YYYY-MM-DD') : '');
+
+  const placeholders = {
+    channel: (values.channel || '').replace(/[^a-zA-Z0-9-_]/g, '-').replace(/-+/g, '-'),
+    channelId: values.channelId,
+    workspace: values.workspace,
+    type: values.type,
+    tier: values.tier,
+    rangeStart: values.range ? rangeDate(values.range.oldest) : '',
+    rangeEnd: values.range ? rangeDate(values.range.latest) : '',
+    messageCount: values.messageCount
+  };
+
+  const rendered = template.replace(/\[([^\]]*)\]|\{(\w+)\}|[A-Za-z]+/g, (token, literal, name) => {
+    if (literal !== undefined) return literal;
+    if (!name) {
+      if (!DATE_TOKEN_RUN.test(token)) return token;
+      return token.replace(/YYYY|GGGG|MM|DD|HH|mm|ss|WW/g, part => dateTokenValue(date, part));
+    }
+    if (!FILENAME_TOKENS.hasOwnProperty(name)) return token;
+    const value = placeholders[name];
+    return value === undefined || value === null ? '' : sanitizeFilenameSegment(String(value));
+  });
+
+  // Empty placeholders can leave "//" or a leading "/" behind
+  return rendered
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/+/, '');
+}
+
+/**
+ * Replace characters that aren't safe inside a single path segment
+ * @param {string} value - Substituted template value
+ * @returns {string} Sanitized value (never contains "/")
+ */
+function sanitizeFilenameSegment(value) {
+  return value
+    .replace(/[\/\\]/g, '-')
+    .replace(new RegExp(ILLEGAL_FILENAME_CHARS.source, 'g'), '-')
+    .replace(/^\.+$/, '-')
+    .trim();
+}
+
+/**
+ * Clean a user-supplied relative path (the download directory, a channel's
+ * output folder or a rendered filename) for chrome.downloads: "\\" becomes
+ * "/", empty and "." segments are dropped and each segment is sanitized
+ * @param {string} path - Relative path, e.g. "slack/exports"
+ * @returns {string} Normalized path ("" when nothing is left)
+ * @throws {Error} For absolute paths or ".." segments
+ */
+function sanitizeRelativePath(path) {
+  const raw = String(path || '').trim().replace(/\\/g, '/');
+  if (raw.startsWith('/') || raw.startsWith('~') || /^[a-zA-Z]:/.test(raw)) {
+    throw new Error(`Absolute paths are not allowed: "${path}"`);
+  }
+
+  const segments = raw.split('/').map(segment => segment.trim()).filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new Error(`".." is not allowed in paths: "${path}"`);
+  }
+
+  return segments
+    // Windows drops trailing dots and spaces, which Chrome then rejects
+    .map(segment => sanitizeFilenameSegment(segment).replace(/[. ]+$/, ''))
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Combine the download directory and a relative filename into the path
+ * handed to chrome.downloads (relative to the user's Downloads folder)
+ * @param {string} directory - Download directory, may be nested or empty
+ * @param {string} filename - Relative file path, may contain subfolders
+ * @returns {string} Safe relative path
+ * @throws {Error} When either part is absolute or escapes upwards
+ */
+function joinDownloadPath(directory, filename) {
+  const file = sanitizeRelativePath(filename);
+  if (!file) {
+    throw new Error('Download filename is empty');
+  }
+  const folder = sanitizeRelativePath(directory);
+  return folder ? `${folder}/${file}` : file;
+}
+
+/**
+ * Check a filename template for problems before it is saved
+ * @param {string} template - Filename template
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateFilenameTemplate(template) {
+  const errors = [];
+  if (!template || !template.trim()) {
+    return ['Filename format cannot be empty'];
+  }
+
+  const illegal = template.match(new RegExp(ILLEGAL_FILENAME_CHARS.source, 'g'));
+  if (illegal) {
+    const shown = [...new Set(illegal)].map(ch => (ch < ' ' ? 'control characters' : `"${ch}"`));
+    errors.push(`Illegal characters: ${shown.join(' ')}`);
+  }
+  if (template.startsWith('/')) {
+    errors.push('Must be a relative path (no leading "/")');
+  }
+  if (template.endsWith('/')) {
+    errors.push('Must end with a file name, not a folder');
+  }
+  if (template.split('/').some(segment => segment.trim() === '..' || segment.trim() === '.')) {
+    errors.push('"." and ".." folders are not allowed');
+  }
+
+  for (const [, name] of template.replace(/\[[^\]]*\]/g, '').matchAll(/\{(\w*)\}/g)) {
+    if (!FILENAME_TOKENS.hasOwnProperty(name)) {
+      errors.push(`Unknown placeholder {${name}}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert date-picker values (YYYY-MM-DD, local time) into an export window.
+ * Both days are inclusive, so the end maps to the last millisecond of that day.
+ * @param {string} startDate - First day to include, or '' for none
+ * @param {string} endDate - Last day to include, or '' for none
+ * @returns {Object} { oldestTimestamp, latestTimestamp } in Unix ms, null where unset
+ */
+function parseDateRange(startDate, endDate) {
+  const localMidnight = (value, dayOffset) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset).getTime();
+  };
+
+  const oldestTimestamp = localMidnight(startDate, 0);
+  const dayAfterEnd = localMidnight(endDate, 1);
+  return {
+    oldestTimestamp,
+    latestTimestamp: dayAfterEnd ? dayAfterEnd - 1 : null
+  };
+}
+
+/**
+ * Swap a filename's export extension for the one the output format uses
+ * @param {string} filename - Filename, usually ending in ".md"
+ * @param {string} extension - Extension without the dot (e.g. "csv")
+ * @returns {string} Filename with the new extension
+ */
+function applyFileExtension(filename, extension) {
+  const base = filename.replace(/\.(md|markdown|json|html?|csv|txt)$/i, '');
+  return `${base}.${extension}`;
 }
 
 /**
@@ -262,9 +546,19 @@ function escapeMarkdown(text) {
 if (typeof window !== 'undefined') {
   window.SlackSnapUtils = {
     formatDate,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToDate,
     cleanText,
     extractChannelName,
     generateFilename,
+    renderFilenameTemplate,
+    validateFilenameTemplate,
+    FILENAME_TOKENS,
+    sanitizeRelativePath,
+    joinDownloadPath,
+    applyFileExtension,
+    parseDateRange,
     showNotification,
     escapeMarkdown
   };